@@ -1,5 +1,9 @@
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 
 describe('MCP Client Tests', () => {
     let client;
@@ -64,6 +68,28 @@ describe('MCP Client Tests', () => {
             expect(result.content[0].text).toContain('button');
         });
 
+        test('search_docs ranks sections and names the heading of each hit', async () => {
+            const result = await client.callTool({
+                name: 'search_docs',
+                arguments: { keyword: 'constraint validation', limit: 3 }
+            });
+            const { results } = result.structuredContent;
+            expect(results).toHaveLength(3);
+            expect(results[0].file).toContain('text-field.md');
+            expect(results[0].path).toContain('Validation');
+            expect(results[0].score).toBeGreaterThanOrEqual(results[1].score);
+        });
+
+        test('search_docs expands synonyms and typos', async () => {
+            const result = await client.callTool({
+                name: 'search_docs',
+                arguments: { keyword: 'toggle', limit: 1 }
+            });
+            const [hit] = result.structuredContent.results;
+            expect(hit.file).toContain('switch.md');
+            expect(hit.expansions).toContainEqual({ term: 'switch', from: 'toggle', kind: 'synonym' });
+        });
+
         test('get_component_doc returns button documentation', async () => {
             const result = await client.callTool({
                 name: 'get_component_doc',
@@ -90,6 +116,37 @@ describe('MCP Client Tests', () => {
             expect(result.content[0].text.length).toBeGreaterThan(100);
         });
 
+        test('get_component_api returns structured element API', async () => {
+            const result = await client.callTool({
+                name: 'get_component_api',
+                arguments: { component: 'checkbox' }
+            });
+            const api = result.structuredContent;
+            expect(api.elements[0].tagName).toBe('md-checkbox');
+            expect(api.elements[0].properties.find(p => p.name === 'disabled').attribute).toBeNull();
+            expect(api.elements[0].events.map(e => e.name)).toEqual(['change', 'input']);
+        });
+
+        test('resolve_element maps a tag to its doc and import', async () => {
+            const result = await client.callTool({
+                name: 'resolve_element',
+                arguments: { tag: 'md-select-option' }
+            });
+            expect(result.structuredContent.found).toBe(true);
+            expect(result.structuredContent.doc).toBe('components/select.md');
+            expect(result.structuredContent.importPath).toBe('@material/web/select/select-option.js');
+        });
+
+        test('list_tokens filters the token catalog', async () => {
+            const result = await client.callTool({
+                name: 'list_tokens',
+                arguments: { category: 'color', prefix: '--md-sys-color-primary' }
+            });
+            const names = result.structuredContent.tokens.map(t => t.name);
+            expect(names).toContain('--md-sys-color-primary');
+            expect(names).toContain('--md-sys-color-primary-container');
+        });
+
         test('validate_website validates Material Web components', async () => {
             const html = `
             <!DOCTYPE html>
@@ -107,6 +164,42 @@ describe('MCP Client Tests', () => {
             expect(validation.valid).toBe(true);
             expect(validation.errors).toEqual([]);
         });
+
+        test('validate_website applies a rule configuration argument', async () => {
+            const result = await client.callTool({
+                name: 'validate_website',
+                arguments: {
+                    html: '<md-filled-button hx-post="/go" size="large">Go</md-filled-button>',
+                    config: { rules: { 'unknown-attribute': 'error' }, allowAttributes: ['hx-*'] }
+                }
+            });
+            expect(result.structuredContent.errors).toEqual(["Unknown attribute 'size' for md-filled-button"]);
+
+            const invalid = await client.callTool({
+                name: 'validate_website',
+                arguments: { html: '<md-filled-button>Go</md-filled-button>', configFile: 'no-such-config.json' }
+            });
+            expect(invalid.isError).toBe(true);
+            expect(invalid.content[0].text).toContain('Cannot read validator config no-such-config.json (ENOENT)');
+
+            const outside = await client.callTool({
+                name: 'validate_website',
+                arguments: { html: '<md-filled-button>Go</md-filled-button>', configFile: '/etc/hostname' }
+            });
+            expect(outside.isError).toBe(true);
+            expect(outside.content[0].text).toContain('is outside the project root');
+        });
+
+        test('suggest_migration maps legacy elements to their replacements', async () => {
+            const result = await client.callTool({
+                name: 'suggest_migration',
+                arguments: { html: '<mwc-button raised label="Save"></mwc-button><mwc-snackbar></mwc-snackbar>' }
+            });
+            expect(result.isError).toBeFalsy();
+            expect(result.structuredContent.migratedHtml).toBe('<md-filled-button>Save</md-filled-button><mwc-snackbar></mwc-snackbar>');
+            expect(result.structuredContent.imports).toEqual(['@material/web/button/filled-button.js']);
+            expect(result.structuredContent.migrations[1].roadmap).toBe('Snackbar');
+        });
     });
 
     describe('Connection Management', () => {
@@ -728,4 +821,140 @@ describe('MCP Client Tests', () => {
             }
         });
     });
-});
\ No newline at end of file
+});
+
+describe('Command line', () => {
+    const bin = path.resolve('bin/material-web-mcp');
+    let root;
+
+    // Run the CLI and resolve with its exit code and output
+    const run = (args, cwd = root) => new Promise((resolve) => {
+        execFile('node', [bin, ...args], { cwd, timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+
+    beforeAll(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'material-web-mcp-cli-'));
+        await fs.mkdir(path.join(root, 'pages'));
+        await fs.writeFile(path.join(root, 'pages', 'index.html'), '<md-filled-buton>Save</md-filled-buton>');
+        await fs.writeFile(path.join(root, 'pages', 'ok.html'), '<md-filled-button>Save</md-filled-button>');
+    });
+
+    afterAll(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    test('validate lists problems and exits with 1 on errors', async () => {
+        const result = await run(['validate', 'pages/*.html']);
+        expect(result.code).toBe(1);
+        expect(result.stdout).toBe('pages/index.html\n  1:1  error  Unknown component: md-filled-buton  unknown-element\n\n✖ 1 problem (1 error, 0 warnings)\n');
+    }, 30000);
+
+    test('validate writes JSON and SARIF and exits with 0 when valid', async () => {
+        const json = await run(['validate', 'pages/ok.html', '--format', 'json']);
+        expect(json.code).toBe(0);
+        expect(JSON.parse(json.stdout).totals).toEqual({ files: 1, filesWithProblems: 0, errors: 0, warnings: 0 });
+
+        const sarif = await run(['validate', 'pages', '--format', 'sarif']);
+        const log = JSON.parse(sarif.stdout);
+        expect(log.version).toBe('2.1.0');
+        expect(log.runs[0].results[0]).toMatchObject({
+            ruleId: 'unknown-element',
+            level: 'error',
+            locations: [{ physicalLocation: { artifactLocation: { uri: 'pages/index.html' }, region: { startLine: 1, startColumn: 1 } } }]
+        });
+
+        const usage = await run(['validate', 'pages', '--format', 'xml']);
+        expect(usage.code).toBe(2);
+        expect(usage.stderr).toContain("Unknown format 'xml'");
+    }, 30000);
+
+    test('search and doc print documentation', async () => {
+        const search = await run(['search', 'supporting text', '--limit', '1']);
+        expect(search.code).toBe(0);
+        expect(search.stdout).toContain('components/text-field.md#supporting-text');
+
+        const doc = await run(['doc', 'text-field', '--section', 'Validation']);
+        expect(doc.code).toBe(0);
+        expect(doc.stdout.startsWith('### Validation\n')).toBe(true);
+
+        const missing = await run(['doc', 'text-field', '--section', 'Nope']);
+        expect(missing.code).toBe(2);
+        expect(missing.stderr).toBe('Section not found: Nope\n');
+    }, 30000);
+
+    test('validate exits with 2 when a file cannot be read or nothing matches', async () => {
+        const unreadable = await run(['validate', 'pages/ok.html', 'missing.html']);
+        expect(unreadable.code).toBe(2);
+        expect(unreadable.stdout).toContain('missing.html: skipped (ENOENT');
+
+        const nothing = await run(['validate', 'pages/*.tsx']);
+        expect(nothing.code).toBe(2);
+        expect(nothing.stderr).toBe('No files match pages/*.tsx\n');
+    }, 30000);
+
+    test('--config reads a file outside the current directory', async () => {
+        const shared = path.join(root, 'shared.json');
+        await fs.writeFile(shared, '{"rules": {"unknown-element": "off"}}');
+        const pages = path.join(root, 'pages');
+
+        const relative = await run(['validate', 'index.html', '--config', '../shared.json'], pages);
+        expect(relative.code).toBe(0);
+        expect(relative.stderr).toBe('');
+
+        const absolute = await run(['validate-project', '.', '--config', shared], pages);
+        expect(absolute.code).toBe(0);
+        expect(JSON.parse(absolute.stdout).totals.errors).toBe(0);
+
+        const missing = await run(['validate', 'index.html', '--config', '../nope.json'], pages);
+        expect(missing.code).toBe(2);
+        expect(missing.stderr).toBe('Cannot read validator config ../nope.json (ENOENT)\n');
+    }, 30000);
+
+    test('the server reads configFile from the directory it was started in', async () => {
+        await fs.writeFile(path.join(root, 'rules.json'), '{"rules": {"unknown-element": "off"}}');
+        const projectClient = new Client({ name: 'material-web-test-client', version: '1.0.0' }, { capabilities: {} });
+        await projectClient.connect(new StdioClientTransport({ command: 'node', args: [bin], cwd: root }));
+        try {
+            const result = await projectClient.callTool({
+                name: 'validate_website',
+                arguments: { html: '<md-filled-buton>Save</md-filled-buton>', configFile: 'rules.json' }
+            });
+            expect(result.isError).toBeFalsy();
+            expect(result.structuredContent.valid).toBe(true);
+
+            const project = await projectClient.callTool({ name: 'validate_project', arguments: { path: 'pages' } });
+            expect(project.structuredContent.root).toBe(await fs.realpath(path.join(root, 'pages')));
+        } finally {
+            await projectClient.close().catch(() => {});
+        }
+    }, 30000);
+
+    // root reads files whatever their mode, so this only runs as a normal user
+    (process.getuid && process.getuid() === 0 ? test.skip : test)('validate-project exits with 2 when a file cannot be read', async () => {
+        const project = path.join(root, 'locked');
+        await fs.mkdir(project);
+        await fs.writeFile(path.join(project, 'ok.html'), '<md-filled-button>Save</md-filled-button>');
+        await fs.writeFile(path.join(project, 'secret.html'), '<md-filled-button>Save</md-filled-button>');
+        await fs.chmod(path.join(project, 'secret.html'), 0o000);
+
+        const result = await run(['validate-project', 'locked']);
+        expect(result.code).toBe(2);
+        expect(JSON.parse(result.stdout).skipped).toEqual([{ file: 'secret.html', reason: expect.stringContaining('EACCES'), unreadable: true }]);
+    }, 30000);
+
+    test('search and doc reject invalid options', async () => {
+        const limit = await run(['search', 'button', '--limit', 'abc']);
+        expect(limit.code).toBe(2);
+        expect(limit.stderr).toBe("--limit must be a positive integer, got 'abc'\n");
+
+        const format = await run(['doc', 'text-field', '--format', 'html']);
+        expect(format.code).toBe(2);
+        expect(format.stderr).toBe("Unknown format 'html'; use raw, clean, plain\n");
+
+        const maxFiles = await run(['validate-project', '.', '--max-files', '0']);
+        expect(maxFiles.code).toBe(2);
+        expect(maxFiles.stderr).toBe("--max-files must be a positive integer, got '0'\n");
+    }, 30000);
+});
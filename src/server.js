@@ -36,8 +36,17 @@ function withTimeout(promise, timeoutMs) {
     });
 }
 
-// Cache for API extractions
-let apiCache = new Map();
+// Cached tag registry built from the API element headings
+let elementRegistryCache = null;
+
+// Cached design token catalog built from the token tables
+let tokenCatalogCache = null;
+
+// Cached BM25 index over the sections of every doc
+let searchIndexCache = null;
+
+// Cached list of planned components from roadmap.md
+let roadmapCache = null;
 
 // Cached documentation files
 let cachedDocFiles = null;
@@ -72,12 +81,18 @@ async function scanDocsDir() {
 // Refresh cache function
 async function refreshDocCache() {
     cachedDocFiles = null;
+    elementRegistryCache = null;
+    tokenCatalogCache = null;
+    searchIndexCache = null;
+    roadmapCache = null;
     await scanDocsDir();
 }
 
 
+// MATERIAL_WEB_MCP_LOG_LEVEL=silent keeps command-line output clean
 const logger = winston.createLogger({
-    level: 'info',
+    level: process.env.MATERIAL_WEB_MCP_LOG_LEVEL || 'info',
+    silent: process.env.MATERIAL_WEB_MCP_LOG_LEVEL === 'silent',
     format: winston.format.combine(
         winston.format.timestamp(),
         winston.format.errors({ stack: true }),
@@ -147,7 +162,7 @@ async function registerDocResources() {
                         contents: [{
                             uri: uri.href,
                             mimeType: 'text/markdown',
-                            text: content,
+                            text: normalizeDoc(content),
                         }],
                     };
                 } catch (error) {
@@ -164,6 +179,325 @@ function escapeRegex(string) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+const DOC_FORMATS = ['raw', 'clean', 'plain'];
+const DEFAULT_DOC_FORMAT = 'clean';
+
+// Split markdown into alternating prose and fenced code segments so that
+// normalization never rewrites code samples
+function splitFencedSegments(content) {
+    const segments = [];
+    let current = { code: false, lines: [] };
+    for (const line of content.split('\n')) {
+        const isFence = /^\s*(?:>\s*)?```/.test(line);
+        if (isFence && !current.code) {
+            segments.push(current);
+            current = { code: true, lines: [line] };
+        } else if (isFence && current.code) {
+            current.lines.push(line);
+            segments.push(current);
+            current = { code: false, lines: [] };
+        } else {
+            current.lines.push(line);
+        }
+    }
+    segments.push(current);
+    return segments.map(segment => ({ code: segment.code, text: segment.lines.join('\n'), lines: segment.lines.length }));
+}
+
+// Drop catalog-only markup, comments (freshness blocks, go/ links, mdformat
+// markers), template directives and catalog wrapper elements. With
+// keepLines set, what is dropped leaves its line breaks behind.
+function cleanMarkdown(text, { keepLines = false } = {}) {
+    const drop = match => keepLines ? match.replace(/[^\n]/g, '') : '';
+    return text
+        .replace(/<!-- catalog-only-start -->[\s\S]*?<!-- catalog-only-end -->/g, drop)
+        .replace(/<!--[\s\S]*?-->/g, drop)
+        .replace(/\{%[\s\S]*?%\}/g, drop)
+        .replace(/<\/?catalog-component-header[^>]*>/g, drop);
+}
+
+// Reduce markdown prose to plain text, keeping inline code contents
+function plainMarkdown(text) {
+    const unlinked = text
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1');
+    return unlinked.split(/(`[^`\n]*`)/).map((part, index) => {
+        if (index % 2 === 1) return part.slice(1, -1);
+        return part
+            .replace(/<[^>]+>/g, '')
+            .replace(/^#{1,6}\s+/gm, '')
+            .replace(/\*\*([^*]+)\*\*/g, '$1')
+            .replace(/(^|[^\w*])\*([^*\n]+)\*(?!\w)/g, '$1$2')
+            .replace(/(^|\W)_([^_\n]+)_(?!\w)/g, '$1$2')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    }).join('');
+}
+
+// Normalize a doc for output: raw returns it verbatim, clean strips catalog
+// noise, plain additionally strips markdown and HTML formatting
+function normalizeDoc(content, format = DEFAULT_DOC_FORMAT) {
+    if (!content || format === 'raw') return content;
+
+    const text = splitFencedSegments(content).map(segment => {
+        if (segment.code) {
+            return format === 'plain'
+                ? segment.text.split('\n').filter(line => !/^\s*(?:>\s*)?```/.test(line)).join('\n')
+                : segment.text;
+        }
+        const cleaned = cleanMarkdown(segment.text);
+        return format === 'plain' ? plainMarkdown(cleaned) : cleaned;
+    }).join('\n');
+
+    return text
+        .split('\n')
+        .map(line => line.replace(/\s+$/, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Normalize a doc line by line: entry i is line i + 1 of the file in the
+// given format (empty where cleaning dropped it), so line numbers found in
+// the result are line numbers in the source file
+function normalizeLines(content, format = DEFAULT_DOC_FORMAT) {
+    if (format === 'raw') return content.split('\n');
+    return splitFencedSegments(content)
+        .filter(segment => segment.lines > 0)
+        .flatMap(segment => {
+            if (segment.code) {
+                return segment.text.split('\n').map(line => format === 'plain' && /^\s*(?:>\s*)?```/.test(line) ? '' : line);
+            }
+            const lines = cleanMarkdown(segment.text, { keepLines: true }).split('\n');
+            return format === 'plain' ? lines.map(plainMarkdown) : lines;
+        })
+        .map(line => line.replace(/\s+$/, ''));
+}
+
+// Headings weigh more than body text, and API table rows more than prose
+const SEARCH_FIELD_WEIGHTS = { heading: 3, api: 2, body: 1 };
+const SEARCH_STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with']);
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const DEFAULT_SEARCH_LIMIT = 10;
+
+// Lowercase terms; camelCase API names also yield their parts so that
+// "supporting text" finds `supportingText`
+function tokenize(text) {
+    const terms = [];
+    for (const word of text.match(/[A-Za-z0-9]+/g) || []) {
+        terms.push(word.toLowerCase());
+        const parts = word.match(/[A-Z]?[a-z0-9]+|[A-Z]+(?![a-z])/g) || [];
+        if (parts.length > 1) terms.push(...parts.map(part => part.toLowerCase()));
+    }
+    return terms.filter(term => !SEARCH_STOPWORDS.has(term));
+}
+
+// Query words mapped to the components (or concepts) the docs call them
+const SEARCH_SYNONYMS = {
+    toggle: ['switch'],
+    dropdown: ['select', 'menu'],
+    combobox: ['select'],
+    spinner: ['circular-progress'],
+    loader: ['progress'],
+    'progress bar': ['linear-progress'],
+    progressbar: ['linear-progress'],
+    textfield: ['text-field'],
+    textbox: ['text-field'],
+    toast: ['snackbar'],
+    modal: ['dialog'],
+    popup: ['dialog', 'menu'],
+    popover: ['menu'],
+    separator: ['divider'],
+    range: ['slider'],
+    'tab bar': ['tabs'],
+    'floating action button': ['fab']
+};
+
+// Weight of a matched expansion relative to the literal query term
+const EXPANSION_WEIGHTS = { exact: 1, synonym: 0.9, fuzzy: 0.6 };
+
+// Levenshtein distance, giving up once it exceeds max
+function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Expand query terms with synonyms and, for terms the index does not know,
+// the closest indexed terms by edit distance
+function expandQuery(query, vocabulary) {
+    const terms = [...new Set(tokenize(query || ''))];
+    const phrase = ` ${terms.join(' ')} `;
+    const expansions = new Map();
+    const add = (term, from, kind) => {
+        const existing = expansions.get(term);
+        if (!existing || EXPANSION_WEIGHTS[kind] > EXPANSION_WEIGHTS[existing.kind]) {
+            expansions.set(term, { term, from, kind });
+        }
+    };
+    const covered = new Set();
+
+    for (const [key, targets] of Object.entries(SEARCH_SYNONYMS)) {
+        if (!phrase.includes(` ${key} `)) continue;
+        key.split(' ').forEach(word => covered.add(word));
+        for (const target of targets) {
+            tokenize(target).filter(term => vocabulary.has(term)).forEach(term => add(term, key, 'synonym'));
+        }
+    }
+
+    for (const term of terms) {
+        if (vocabulary.has(term)) {
+            add(term, term, 'exact');
+            continue;
+        }
+        if (covered.has(term) || term.length < 4) continue;
+        const max = term.length < 7 ? 1 : 2;
+        let best = max + 1;
+        let closest = [];
+        for (const candidate of vocabulary.keys()) {
+            const distance = editDistance(term, candidate, max);
+            if (distance > max) continue;
+            if (distance < best) {
+                best = distance;
+                closest = [candidate];
+            } else if (distance === best) {
+                closest.push(candidate);
+            }
+        }
+        closest.slice(0, 3).forEach(candidate => add(candidate, term, 'fuzzy'));
+    }
+    return [...expansions.values()];
+}
+
+// Index every heading section of the docs: weighted term frequencies of the
+// cleaned text per section and a postings list per term. Sections keep the
+// raw lines with their line numbers in the source file.
+async function getSearchIndex() {
+    if (searchIndexCache) return searchIndexCache;
+    const files = await scanDocsDir();
+    const sections = [];
+    const postings = new Map();
+
+    for (const fullPath of files) {
+        let content;
+        try {
+            content = await withTimeout(fs.readFile(fullPath, 'utf-8'), 5000);
+        } catch (error) {
+            logger.error(`Error reading file ${fullPath}:`, error);
+            continue;
+        }
+        const file = path.relative(docsDir, fullPath);
+        const rawLines = content.split('\n');
+        const lines = normalizeLines(content);
+        const headings = parseHeadings(content);
+        const starts = [{ title: null, anchor: null, path: [], line: 0 }, ...headings];
+
+        starts.forEach((heading, index) => {
+            const end = index + 1 < starts.length ? starts[index + 1].line - 1 : lines.length;
+            const sectionLines = [];
+            const frequencies = new Map();
+            const add = (text, weight) => {
+                for (const term of tokenize(text)) {
+                    frequencies.set(term, (frequencies.get(term) || 0) + weight);
+                }
+            };
+            const inApi = heading.path.includes('API');
+
+            if (heading.title) add(heading.title, SEARCH_FIELD_WEIGHTS.heading);
+            for (let i = Math.max(heading.line, 1); i <= end; i++) {
+                const text = lines[i - 1].trim();
+                if (!text) continue;
+                sectionLines.push({ line: i, text, raw: rawLines[i - 1].trim() });
+                if (i === heading.line) continue;
+                add(text, inApi && text.includes('|') ? SEARCH_FIELD_WEIGHTS.api : SEARCH_FIELD_WEIGHTS.body);
+            }
+            if (frequencies.size === 0) return;
+
+            const id = sections.length;
+            let length = 0;
+            for (const [term, frequency] of frequencies) {
+                if (!postings.has(term)) postings.set(term, new Map());
+                postings.get(term).set(id, frequency);
+                length += frequency;
+            }
+            sections.push({ file, heading: heading.title, anchor: heading.anchor, path: heading.path, lines: sectionLines, length });
+        });
+    }
+
+    const totalLength = sections.reduce((sum, section) => sum + section.length, 0);
+    searchIndexCache = { sections, postings, averageLength: sections.length > 0 ? totalLength / sections.length : 0 };
+    return searchIndexCache;
+}
+
+// Rank doc sections for a query with BM25; each hit carries the heading it
+// sits under, the line that best matches the query (numbered as in the
+// source file) and the synonym or fuzzy expansions that matched
+async function searchDocs(query, { limit = DEFAULT_SEARCH_LIMIT, format = DEFAULT_DOC_FORMAT } = {}) {
+    if (tokenize(query || '').length === 0) return [];
+    const { sections, postings, averageLength } = await getSearchIndex();
+    const scores = new Map();
+
+    for (const expansion of expandQuery(query, postings)) {
+        const posting = postings.get(expansion.term);
+        const idf = Math.log(1 + (sections.length - posting.size + 0.5) / (posting.size + 0.5));
+        for (const [id, frequency] of posting) {
+            const lengthNorm = 1 - BM25_B + BM25_B * sections[id].length / averageLength;
+            const entry = scores.get(id) || { score: 0, matched: [] };
+            entry.score += EXPANSION_WEIGHTS[expansion.kind] * idf * frequency * (BM25_K1 + 1) / (frequency + BM25_K1 * lengthNorm);
+            entry.matched.push(expansion);
+            scores.set(id, entry);
+        }
+    }
+
+    return [...scores]
+        .sort((a, b) => b[1].score - a[1].score)
+        .slice(0, limit)
+        .map(([id, { score, matched }]) => {
+            const section = sections[id];
+            const terms = matched.map(expansion => expansion.term);
+            let best = section.lines[0];
+            let bestCount = -1;
+            for (const candidate of section.lines) {
+                const lineTerms = new Set(tokenize(candidate.text));
+                const count = terms.filter(term => lineTerms.has(term)).length;
+                if (count > bestCount) {
+                    best = candidate;
+                    bestCount = count;
+                }
+            }
+            return {
+                file: section.file,
+                heading: section.heading,
+                anchor: section.anchor,
+                path: section.path,
+                line: best.line,
+                score: Math.round(score * 1000) / 1000,
+                text: format === 'raw' ? best.raw : normalizeDoc(best.text, format) || best.text,
+                terms,
+                expansions: matched
+                    .filter(expansion => expansion.kind !== 'exact')
+                    .map(({ term, from, kind }) => ({ term, from, kind }))
+            };
+        });
+}
+
 async function loadDocStructure() {
     const files = await scanDocsDir();
     const structure = {};
@@ -185,146 +519,2952 @@ async function extractComponentNames() {
     return components;
 }
 
-async function searchContent(keyword) {
-    if (!keyword || keyword.trim() === '') {
-        return [];
+// New helper functions
+async function getComponentDoc(componentName) {
+    const filePath = path.join(docsDir, 'components', `${componentName}.md`);
+    try {
+        const content = await withTimeout(fs.readFile(filePath, 'utf-8'), 5000);
+        return content;
+    } catch (error) {
+        logger.error(`Error reading component doc ${componentName}:`, error);
+        return null;
+    }
+}
+
+const themingFiles = ['README.md', 'color.md', 'shape.md', 'typography.md'];
+
+async function getThemingDocs() {
+    const themingDir = path.join(__dirname, '..', 'ui-docs', 'theming');
+    let content = '';
+    for (const file of themingFiles) {
+        try {
+            const fileContent = await withTimeout(fs.readFile(path.join(themingDir, file), 'utf-8'), 5000);
+            content += `## ${file}\n\n${fileContent}\n\n`;
+        } catch (error) {
+            logger.error(`Error reading theming doc ${file}:`, error);
+        }
+    }
+    return content;
+}
+
+// Read any doc by its path relative to ui-docs, returning null on failure
+async function readDocFile(relativePath) {
+    const filePath = path.join(docsDir, relativePath);
+    if (path.relative(docsDir, filePath).startsWith('..')) return null;
+    try {
+        return await withTimeout(fs.readFile(filePath, 'utf-8'), 5000);
+    } catch (error) {
+        logger.error(`Error reading doc ${relativePath}:`, error);
+        return null;
+    }
+}
+
+async function getInstallationDocs() {
+    const filePath = path.join(docsDir, 'quick-start.md');
+    try {
+        const content = await withTimeout(fs.readFile(filePath, 'utf-8'), 5000);
+        return content;
+    } catch (error) {
+        logger.error('Error reading quick-start.md:', error);
+        return null;
+    }
+}
+
+
+// Matches the auto-generated element headings, e.g.
+// ### MdFilledButton <code>&lt;md-filled-button&gt;</code>
+const ELEMENT_HEADING_REGEX = /^###\s+(\w+)\s+<code>&lt;([a-z0-9-]+)&gt;<\/code>/;
+
+// First header cell of each auto-generated API table
+const API_TABLE_KINDS = {
+    Property: 'properties',
+    Method: 'methods',
+    Event: 'events'
+};
+
+// Split a markdown table row into trimmed cells, honoring escaped pipes
+function splitTableRow(line) {
+    return line.trim()
+        .replace(/^\|/, '')
+        .replace(/\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// Strip inline code markup from a table cell, returning null for empty cells
+function cellValue(cell) {
+    const value = (cell || '').replace(/`/g, '').trim();
+    return value === '' || value === '_None_' ? null : value;
+}
+
+function cellDescription(cell) {
+    return (cell || '').replace(/<br>/g, '\n').trim();
+}
+
+function parseApiRow(kind, cells) {
+    switch (kind) {
+        case 'properties':
+            return {
+                name: cellValue(cells[0]),
+                attribute: cellValue(cells[1]),
+                type: cellValue(cells[2]),
+                default: cellValue(cells[3]),
+                description: cellDescription(cells[4])
+            };
+        case 'methods': {
+            const parameters = cellValue(cells[1]);
+            return {
+                name: cellValue(cells[0]),
+                parameters: parameters ? parameters.split(',').map(p => p.trim()) : [],
+                returns: cellValue(cells[2]),
+                description: cellDescription(cells[3])
+            };
+        }
+        default:
+            return {
+                name: cellValue(cells[0]),
+                type: cellValue(cells[1]),
+                bubbles: cellValue(cells[2]) === 'Yes',
+                composed: cellValue(cells[3]) === 'Yes',
+                description: cellDescription(cells[4])
+            };
+    }
+}
+
+// Parse the auto-generated "## API" section into one entry per element.
+// Tables that appear before any element heading are collected under an
+// anonymous element so hand-written docs still yield their members.
+function parseApiDoc(doc) {
+    const start = doc.search(/^## API\s*$/m);
+    if (start === -1) return null;
+
+    const lines = doc.slice(start).split('\n').slice(1);
+    const elements = [];
+    let current = null;
+    let tableKind;
+
+    for (const line of lines) {
+        if (/^## /.test(line)) break;
+
+        const heading = line.match(ELEMENT_HEADING_REGEX);
+        if (heading) {
+            current = { className: heading[1], tagName: heading[2], properties: [], methods: [], events: [] };
+            elements.push(current);
+            tableKind = undefined;
+            continue;
+        }
+
+        if (!line.trim().startsWith('|')) {
+            tableKind = undefined;
+            continue;
+        }
+
+        const cells = splitTableRow(line);
+        if (tableKind === undefined) {
+            // Header row; unknown tables are skipped until the next blank line
+            tableKind = API_TABLE_KINDS[cells[0]] || null;
+            continue;
+        }
+        if (!tableKind || cells.every(cell => /^-*$/.test(cell))) continue;
+
+        if (!current) {
+            current = { className: null, tagName: null, properties: [], methods: [], events: [] };
+            elements.push(current);
+        }
+        const row = parseApiRow(tableKind, cells);
+        if (row.name) current[tableKind].push(row);
+    }
+    return elements;
+}
+
+async function extractApi(componentName) {
+    const doc = await getComponentDoc(componentName);
+    if (!doc) return null;
+
+    const elements = parseApiDoc(doc);
+    if (!elements) return null;
+
+    // Property-only members have no Attribute column, so they are left out
+    const properties = [];
+    for (const element of elements) {
+        for (const property of element.properties) {
+            if (property.attribute && !properties.includes(property.attribute)) {
+                properties.push(property.attribute);
+            }
+        }
+    }
+    return { properties };
+}
+
+// Structured API model for every element documented in a component doc
+async function extractComponentApi(componentName, elementFilter) {
+    const doc = await getComponentDoc(componentName);
+    if (!doc) return null;
+
+    let elements = parseApiDoc(doc);
+    if (!elements) return null;
+
+    if (elementFilter) {
+        const filter = elementFilter.toLowerCase();
+        elements = elements.filter(element =>
+            (element.tagName && element.tagName === filter) ||
+            (element.className && element.className.toLowerCase() === filter)
+        );
+    }
+    return { component: componentName, elements };
+}
+
+// Parse the auto-generated bundle table in size.md into one row per import
+async function loadSizeTable() {
+    const filePath = path.join(docsDir, 'size.md');
+    let content;
+    try {
+        content = await withTimeout(fs.readFile(filePath, 'utf-8'), 5000);
+    } catch (error) {
+        logger.error('Error reading size.md:', error);
+        return [];
+    }
+
+    const rows = [];
+    let group = null;
+    for (const line of content.split('\n')) {
+        if (!line.trim().startsWith('|')) continue;
+        const cells = splitTableRow(line);
+        if (cells[0] === 'Component' || cells.every(cell => /^-*$/.test(cell))) continue;
+
+        const name = cells[0].replace(/\*/g, '').trim();
+        if (name) group = name;
+        const importPath = cellValue(cells[4]);
+        if (importPath && /^@material\/web\/.+\.js$/.test(importPath)) {
+            rows.push({
+                component: group,
+                importPath,
+                gzip: parseSizeCell(cells[1]),
+                minified: parseSizeCell(cells[2]),
+                cssPercent: parseSizeCell(cells[3])
+            });
+        }
+    }
+    return rows;
+}
+
+// "**8.4kb**" -> 8.4, "*64% CSS*" -> 64
+function parseSizeCell(cell) {
+    const value = parseFloat((cell || '').replace(/[*\s]/g, ''));
+    return Number.isNaN(value) ? null : value;
+}
+
+// Import paths are named after the tag, with or without the md- prefix
+function findImportPath(tagName, importPaths) {
+    const bare = tagName.replace(/^md-/, '');
+    return importPaths.find(importPath =>
+        importPath.endsWith(`/${bare}.js`) || importPath.endsWith(`/${tagName}.js`)
+    ) || null;
+}
+
+// Variant prefixes shared by sibling elements of one component, e.g.
+// md-filled-button and md-text-button are both "button"
+const ELEMENT_VARIANTS = ['filled-tonal', 'filled', 'outlined', 'elevated', 'text', 'branded', 'assist', 'filter', 'input', 'suggestion', 'primary', 'secondary'];
+
+function elementFamily(tag) {
+    const bare = tag.replace(/^md-/, '');
+    const variant = ELEMENT_VARIANTS.find(prefix => bare.startsWith(`${prefix}-`));
+    return variant ? bare.slice(variant.length + 1) : bare;
+}
+
+// Named slots per tag, from the slotted children in a doc's HTML examples
+// and `slot="..."` mentions in each element's API descriptions
+function extractSlots(doc) {
+    const slots = new Map();
+    const add = (tag, slot) => {
+        if (!slots.has(tag)) slots.set(tag, new Set());
+        slots.get(tag).add(slot);
+    };
+
+    for (const block of extractCodeBlocks(doc)) {
+        if (block.language !== 'html') continue;
+        const $ = cheerio.load(block.code, null, false);
+        $('[slot]').each((_, elem) => {
+            const parent = $(elem).parent().prop('tagName');
+            if (parent && parent.toLowerCase().startsWith('md-')) {
+                add(parent.toLowerCase(), $(elem).attr('slot'));
+            }
+        });
+    }
+
+    for (const element of parseApiDoc(doc) || []) {
+        if (!element.tagName) continue;
+        for (const property of element.properties) {
+            for (const match of (property.description || '').matchAll(/slot="([a-z-]+)"/g)) {
+                add(element.tagName, match[1]);
+            }
+        }
+    }
+    return slots;
+}
+
+// Named slots of each element in the Material Web sources; the docs only
+// show some of them, so the slots found there are merged in
+const LIST_ITEM_SLOTS = ['start', 'end', 'headline', 'supporting-text', 'trailing-supporting-text', 'overline'];
+const ELEMENT_SLOTS = {
+    'md-elevated-button': ['icon'],
+    'md-filled-button': ['icon'],
+    'md-filled-tonal-button': ['icon'],
+    'md-outlined-button': ['icon'],
+    'md-text-button': ['icon'],
+    'md-fab': ['icon'],
+    'md-branded-fab': ['icon'],
+    'md-icon-button': ['selected'],
+    'md-filled-icon-button': ['selected'],
+    'md-filled-tonal-icon-button': ['selected'],
+    'md-outlined-icon-button': ['selected'],
+    'md-assist-chip': ['icon'],
+    'md-filter-chip': ['icon', 'remove-trailing-icon'],
+    'md-input-chip': ['icon', 'remove-trailing-icon'],
+    'md-suggestion-chip': ['icon'],
+    'md-dialog': ['headline', 'content', 'actions', 'icon'],
+    'md-filled-text-field': ['leading-icon', 'trailing-icon'],
+    'md-outlined-text-field': ['leading-icon', 'trailing-icon'],
+    'md-filled-select': ['leading-icon', 'trailing-icon'],
+    'md-outlined-select': ['leading-icon', 'trailing-icon'],
+    'md-list-item': LIST_ITEM_SLOTS,
+    'md-menu-item': LIST_ITEM_SLOTS,
+    'md-select-option': LIST_ITEM_SLOTS,
+    'md-sub-menu': ['item', 'menu'],
+    'md-primary-tab': ['icon'],
+    'md-secondary-tab': ['icon'],
+    'md-checkbox': [],
+    'md-chip-set': [],
+    'md-circular-progress': [],
+    'md-divider': [],
+    'md-elevation': [],
+    'md-focus-ring': [],
+    'md-icon': [],
+    'md-linear-progress': [],
+    'md-list': [],
+    'md-menu': [],
+    'md-radio': [],
+    'md-ripple': [],
+    'md-slider': [],
+    'md-switch': [],
+    'md-tabs': []
+};
+
+// Build a map of md-* tag name to its owning doc, import path and API block
+async function getElementRegistry() {
+    if (elementRegistryCache) return elementRegistryCache;
+
+    const components = await extractComponentNames();
+    const importPaths = (await loadSizeTable()).map(row => row.importPath);
+    const registry = new Map();
+    for (const component of components) {
+        const doc = await getComponentDoc(component);
+        if (!doc) continue;
+        // Docs without an API section (icon, elevation) still document their
+        // element through the examples; register it without an API block
+        const apis = parseApiDoc(doc);
+        let elements;
+        if (apis) {
+            elements = apis.map(api => ({ tagName: api.tagName, className: api.className, api }));
+        } else {
+            const tagName = `md-${component}`;
+            if (!extractCodeBlocks(doc).some(block => block.tags.includes(tagName))) continue;
+            elements = [{ tagName, className: null, api: null }];
+        }
+        const slots = extractSlots(doc);
+        const entries = [];
+        for (const element of elements) {
+            if (!element.tagName || registry.has(element.tagName)) continue;
+            const entry = {
+                tagName: element.tagName,
+                className: element.className,
+                component,
+                doc: `components/${component}.md`,
+                importPath: findImportPath(element.tagName, importPaths),
+                slots: [],
+                api: element.api
+            };
+            registry.set(element.tagName, entry);
+            entries.push(entry);
+        }
+
+        // Variants of one element share their slots even when only one of
+        // them appears in the examples
+        for (const entry of entries) {
+            const family = new Set(ELEMENT_SLOTS[entry.tagName] || []);
+            for (const sibling of entries) {
+                if (elementFamily(sibling.tagName) !== elementFamily(entry.tagName)) continue;
+                (slots.get(sibling.tagName) || []).forEach(slot => family.add(slot));
+            }
+            entry.slots = [...family].sort();
+        }
+    }
+    elementRegistryCache = registry;
+    return registry;
+}
+
+// Resolve a tag (or class name such as MdFilledButton) to its registry entry
+async function resolveElement(name) {
+    if (!name || name.trim() === '') return null;
+    const registry = await getElementRegistry();
+    const normalized = name.trim().replace(/^<|\/?>$/g, '').toLowerCase();
+    if (registry.has(normalized)) return registry.get(normalized);
+    for (const entry of registry.values()) {
+        if (entry.className && entry.className.toLowerCase() === normalized) return entry;
+    }
+    return null;
+}
+
+// Collect markdown tables (with or without outer pipes) under their heading
+function parseMarkdownTables(content) {
+    const lines = content.split('\n');
+    const tables = [];
+    let heading = null;
+    let inFence = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.trim().startsWith('```')) {
+            inFence = !inFence;
+            continue;
+        }
+        if (inFence) continue;
+
+        const headingMatch = line.match(/^#{1,6}\s+(.*)$/);
+        if (headingMatch) {
+            heading = headingMatch[1].trim();
+            continue;
+        }
+
+        const separator = lines[i + 1];
+        if (!line.includes('|') || !separator || !/^\s*\|?\s*:?-{3,}[-:\s|]*$/.test(separator)) continue;
+
+        const table = { heading, line: i + 1, header: splitTableRow(line), rows: [] };
+        i += 2;
+        while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+            table.rows.push(splitTableRow(lines[i]));
+            i++;
+        }
+        i--;
+        tables.push(table);
+    }
+    return tables;
+}
+
+const TOKEN_CATEGORIES = ['color', 'shape', 'typescale', 'elevation', 'other'];
+
+function tokenCategory(name) {
+    if (/typescale|typeface|-font$|-weight$|-line-height$|-tracking$|text-size$/.test(name)) return 'typescale';
+    if (/-color$|-color-/.test(name)) return 'color';
+    if (/shape/.test(name)) return 'shape';
+    if (/elevation/.test(name)) return 'elevation';
+    return 'other';
+}
+
+function tokenKind(name) {
+    if (name.startsWith('--md-sys-')) return 'system';
+    if (name.startsWith('--md-ref-')) return 'reference';
+    return 'component';
+}
+
+function createTokenEntry(name, fields) {
+    return {
+        name,
+        kind: tokenKind(name),
+        category: tokenCategory(name),
+        component: null,
+        doc: null,
+        section: null,
+        default: null,
+        references: null,
+        source: 'table',
+        ...fields
+    };
+}
+
+// System and reference token names mentioned anywhere in a doc
+const SYSTEM_TOKEN_REGEX = /--md-(?:sys|ref)-[a-z]+-[a-z0-9-]*[a-z0-9](?![a-z0-9-]*<)/g;
+
+// System tokens Material Web defines that the docs only list in part: every
+// color role, the motion easings and durations, the state layer opacities
+// and focus indicator, and the remaining shape and elevation levels
+const COLOR_ROLES = [
+    'background', 'on-background', 'surface', 'surface-dim', 'surface-bright',
+    'surface-container-lowest', 'surface-container-low', 'surface-container', 'surface-container-high', 'surface-container-highest',
+    'on-surface', 'surface-variant', 'on-surface-variant', 'inverse-surface', 'inverse-on-surface', 'inverse-primary',
+    'outline', 'outline-variant', 'shadow', 'scrim', 'surface-tint',
+    ...['primary', 'secondary', 'tertiary'].flatMap(role => [
+        role, `on-${role}`, `${role}-container`, `on-${role}-container`,
+        `${role}-fixed`, `${role}-fixed-dim`, `on-${role}-fixed`, `on-${role}-fixed-variant`
+    ]),
+    'error', 'on-error', 'error-container', 'on-error-container'
+];
+const SYSTEM_TOKENS = [
+    ...COLOR_ROLES.map(role => `--md-sys-color-${role}`),
+    ...['emphasized', 'emphasized-accelerate', 'emphasized-decelerate', 'legacy', 'legacy-accelerate', 'legacy-decelerate',
+        'linear', 'standard', 'standard-accelerate', 'standard-decelerate'].map(easing => `--md-sys-motion-easing-${easing}`),
+    ...['short', 'medium', 'long', 'extra-long'].flatMap(duration =>
+        [1, 2, 3, 4].map(step => `--md-sys-motion-duration-${duration}${step}`)),
+    ...['hover', 'focus', 'pressed', 'dragged'].map(state => `--md-sys-state-${state}-state-layer-opacity`),
+    '--md-sys-state-focus-indicator-thickness', '--md-sys-state-focus-indicator-inner-offset', '--md-sys-state-focus-indicator-outer-offset',
+    ...['extra-small-top', 'large-end', 'large-start', 'large-top', 'extra-large-top'].map(corner => `--md-sys-shape-corner-${corner}`),
+    ...[0, 1, 2, 3, 4, 5].map(level => `--md-sys-elevation-level${level}`)
+];
+
+// Build one catalog from the component token tables and the theming docs
+async function getTokenCatalog() {
+    if (tokenCatalogCache) return tokenCatalogCache;
+
+    const catalog = new Map();
+    const add = (entry) => {
+        if (!catalog.has(entry.name)) catalog.set(entry.name, entry);
+    };
+    const docs = [];
+    for (const file of themingFiles) {
+        docs.push({ doc: `theming/${file}`, component: null });
+    }
+    for (const component of await extractComponentNames()) {
+        docs.push({ doc: `components/${component}.md`, component });
+    }
+
+    const contents = [];
+    for (const { doc, component } of docs) {
+        const content = await readDocFile(doc);
+        if (!content) continue;
+        contents.push({ doc, content });
+
+        for (const table of parseMarkdownTables(content)) {
+            if (table.header[0] === 'Token' && table.header[1] === 'Default value') {
+                // Component token tables: token name and its default value
+                for (const cells of table.rows) {
+                    const name = cellValue(cells[0]);
+                    if (!name || !name.startsWith('--md-')) continue;
+                    const value = cellValue(cells[1]);
+                    add(createTokenEntry(name, {
+                        component,
+                        doc,
+                        section: table.heading,
+                        default: value,
+                        references: value && value.startsWith('--md-') ? value : null
+                    }));
+                }
+            } else if (/^Tokens?$/.test(table.header[1] || '')) {
+                // Theming tables: a group label followed by the token name
+                let group = null;
+                for (const cells of table.rows) {
+                    const label = cells[0].replace(/&nbsp;/g, '').trim();
+                    if (label) group = label;
+                    const match = (cells[1] || '').match(/`(--md-[a-z0-9-]+)`(\s*\*)?/);
+                    if (!match) continue;
+                    const name = match[1];
+                    add(createTokenEntry(name, { doc, section: table.heading, group }));
+                    // Color roles pair with an on-* content color with accessible
+                    // contrast; starred surface roles share on-surface instead.
+                    if (name.startsWith('--md-sys-color-') && !match[2] && !/-outline/.test(name)) {
+                        add(createTokenEntry(name.replace('--md-sys-color-', '--md-sys-color-on-'), {
+                            doc, section: table.heading, group, source: 'derived'
+                        }));
+                    }
+                    // The typescale table lists the medium size of each
+                    // <scale>-<size>-<property> token; small and large exist too.
+                    if (name.startsWith('--md-sys-typescale-') && name.includes('-medium-')) {
+                        for (const size of ['small', 'large']) {
+                            add(createTokenEntry(name.replace('-medium-', `-${size}-`), {
+                                doc, section: table.heading, group, source: 'derived'
+                            }));
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Anything else referenced by name, e.g. a default that points at a
+    // system token the theming tables don't list
+    for (const { doc, content } of contents) {
+        for (const name of content.match(SYSTEM_TOKEN_REGEX) || []) {
+            add(createTokenEntry(name, { doc, source: 'mentioned' }));
+        }
+    }
+    for (const name of SYSTEM_TOKENS) {
+        add(createTokenEntry(name, { doc: name.startsWith('--md-sys-color-') ? 'theming/color.md' : null, source: 'builtin' }));
+    }
+
+    tokenCatalogCache = catalog;
+    return catalog;
+}
+
+async function listTokens({ component, category, prefix } = {}) {
+    const catalog = await getTokenCatalog();
+    const normalizedPrefix = prefix ? `--${prefix.replace(/^-+/, '')}` : null;
+    return [...catalog.values()].filter(entry =>
+        (!component || entry.component === component) &&
+        (!category || entry.category === category) &&
+        (!normalizedPrefix || entry.name.startsWith(normalizedPrefix))
+    );
+}
+
+// Plain text of a markdown heading, e.g. "MdCheckbox <md-checkbox>"
+function headingText(raw) {
+    return raw
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// True when a line opens an HTML comment that continues on later lines
+function opensHtmlComment(line) {
+    const start = line.lastIndexOf('<!--');
+    return start !== -1 && !line.slice(start).includes('-->');
+}
+
+// GitHub-style anchor for a heading title
+function slugify(title) {
+    return title
+        .toLowerCase()
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/\s+/g, '-');
+}
+
+// Headings of a doc with stable anchors and their ancestor path. Headings
+// inside fences and HTML comments (catalog-only demos, freshness) are skipped.
+function parseHeadings(content) {
+    const lines = content.split('\n');
+    const headings = [];
+    const stack = [];
+    const anchors = new Map();
+    let inFence = false;
+    let inComment = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (/^\s*(?:>\s*)?```/.test(line)) {
+            inFence = !inFence;
+            continue;
+        }
+        if (inFence) continue;
+        if (inComment) {
+            if (line.includes('-->')) inComment = false;
+            continue;
+        }
+        if (opensHtmlComment(line)) {
+            inComment = true;
+            continue;
+        }
+
+        const match = line.match(/^(#{1,6})\s+(.*)$/);
+        if (!match) continue;
+
+        const level = match[1].length;
+        const title = headingText(match[2]);
+        const slug = slugify(title);
+        const count = anchors.get(slug) || 0;
+        anchors.set(slug, count + 1);
+
+        while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+        const heading = {
+            level,
+            title,
+            anchor: count === 0 ? slug : `${slug}-${count}`,
+            parent: stack.length > 0 ? stack[stack.length - 1].anchor : null,
+            path: [...stack.map(parent => parent.title), title],
+            line: i + 1
+        };
+        headings.push(heading);
+        stack.push(heading);
+    }
+    return headings;
+}
+
+// Heading path of the closest heading above a line
+function headingPathAt(headings, line) {
+    const above = headings.filter(heading => heading.line < line);
+    return above.length > 0 ? above[above.length - 1].path : [];
+}
+
+// Collect fenced code blocks with the heading path they sit under. Headings
+// inside HTML comments (catalog-only demos) and fences are ignored.
+function extractCodeBlocks(content) {
+    const lines = content.split('\n');
+    const headings = parseHeadings(content);
+    const blocks = [];
+    let fence = null;
+    let inComment = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (fence) {
+            if (line.trim().replace(/^>\s*/, '').startsWith('```')) {
+                blocks.push(fence.block);
+                fence = null;
+            } else {
+                fence.code.push(line.startsWith(fence.indent) ? line.slice(fence.indent.length) : line.trimStart());
+            }
+            continue;
+        }
+        if (inComment) {
+            if (line.includes('-->')) inComment = false;
+            continue;
+        }
+        if (opensHtmlComment(line)) {
+            inComment = true;
+            continue;
+        }
+
+        const fenceMatch = line.match(/^(\s*(?:>\s*)?)```\s*([\w-]*)/);
+        if (fenceMatch) {
+            const code = [];
+            fence = {
+                indent: fenceMatch[1],
+                code,
+                block: {
+                    headingPath: headingPathAt(headings, i + 1),
+                    language: fenceMatch[2] || null,
+                    line: i + 1,
+                    get code() { return code.join('\n'); }
+                }
+            };
+        }
+    }
+
+    return blocks.map(({ headingPath, language, line, code }) => ({
+        headingPath,
+        language,
+        line,
+        code,
+        tags: [...new Set(code.match(/<md-[a-z0-9-]+/g) || [])].map(tag => tag.slice(1))
+    }));
+}
+
+async function getExamples(componentName, { section, keyword, language } = {}) {
+    const doc = await getComponentDoc(componentName);
+    if (!doc) return null;
+
+    const sectionFilter = section ? section.toLowerCase() : null;
+    const keywordFilter = keyword ? keyword.toLowerCase() : null;
+    const examples = extractCodeBlocks(doc).filter(example => {
+        const path = example.headingPath.join(' > ').toLowerCase();
+        if (language && example.language !== language) return false;
+        if (sectionFilter && !path.includes(sectionFilter)) return false;
+        if (keywordFilter && !path.includes(keywordFilter) && !example.code.toLowerCase().includes(keywordFilter)) return false;
+        return true;
+    });
+    return { component: componentName, examples };
+}
+
+// Map a doc name such as "text-field", "theming/color" or "support.md" to its
+// path relative to ui-docs
+async function resolveDocPath(name) {
+    if (!name) return null;
+    const normalized = name.trim().replace(/\\/g, '/').replace(/^\/+/, '').replace(/\.md$/, '');
+    const files = await scanDocsDir();
+    const available = files.map(file => path.relative(docsDir, file).replace(/\\/g, '/'));
+    const candidates = [`${normalized}.md`, `components/${normalized}.md`, `theming/${normalized}.md`];
+    return candidates.find(candidate => available.includes(candidate)) || null;
+}
+
+async function getDocOutline(name) {
+    const doc = await resolveDocPath(name);
+    if (!doc) return null;
+    const content = await readDocFile(doc);
+    if (content === null) return null;
+    return { doc, headings: parseHeadings(content) };
+}
+
+// Return one heading's subtree, selected by anchor or by a (trailing) heading
+// path such as "Validation > Constraint validation"
+async function getDocSection(name, { anchor, headingPath, format } = {}) {
+    const doc = await resolveDocPath(name);
+    if (!doc) return null;
+    const content = await readDocFile(doc);
+    if (content === null) return null;
+
+    const headings = parseHeadings(content);
+    const wanted = (headingPath || '').split('>').map(part => part.trim().toLowerCase()).filter(Boolean);
+    const heading = anchor
+        ? headings.find(h => h.anchor === anchor.trim().replace(/^#/, '').toLowerCase())
+        : wanted.length > 0 && headings.find(h => {
+            const titles = h.path.map(title => title.toLowerCase());
+            return wanted.length <= titles.length &&
+                wanted.every((part, index) => titles[titles.length - wanted.length + index] === part);
+        });
+    if (!heading) return { doc, found: false };
+
+    const next = headings.find(h => h.line > heading.line && h.level <= heading.level);
+    const lines = content.split('\n').slice(heading.line - 1, next ? next.line - 1 : undefined);
+    return {
+        doc,
+        found: true,
+        anchor: heading.anchor,
+        path: heading.path,
+        content: normalizeDoc(lines.join('\n'), format)
+    };
+}
+
+// Components the roadmap lists under "New components": planned but not
+// built, with a doc link to that heading
+async function getRoadmap() {
+    if (roadmapCache) return roadmapCache;
+    const content = await readDocFile('roadmap.md');
+    const headings = content === null ? [] : parseHeadings(content);
+    const heading = headings.find(h => h.title === 'New components');
+    if (!heading) return { items: [], doc: null };
+
+    const next = headings.find(h => h.line > heading.line && h.level <= heading.level);
+    const items = content.split('\n').slice(heading.line, next ? next.line - 1 : undefined)
+        .map(line => line.match(/^\s*[*-]\s+(.+?)\s*$/))
+        .filter(Boolean)
+        .map(match => match[1]);
+    roadmapCache = { items, doc: `roadmap.md#${heading.anchor}` };
+    return roadmapCache;
+}
+
+// Imports bundled by @material/web/common.js; all.js bundles every element
+const COMMON_IMPORTS = [
+    '@material/web/button/filled-button.js',
+    '@material/web/button/outlined-button.js',
+    '@material/web/checkbox/checkbox.js',
+    '@material/web/chips/chip-set.js',
+    '@material/web/chips/filter-chip.js',
+    '@material/web/chips/input-chip.js',
+    '@material/web/dialog/dialog.js',
+    '@material/web/divider/divider.js',
+    '@material/web/elevation/elevation.js',
+    '@material/web/fab/fab.js',
+    '@material/web/focus/md-focus-ring.js',
+    '@material/web/icon/icon.js',
+    '@material/web/iconbutton/icon-button.js',
+    '@material/web/iconbutton/outlined-icon-button.js',
+    '@material/web/list/list.js',
+    '@material/web/list/list-item.js',
+    '@material/web/menu/menu.js',
+    '@material/web/menu/menu-item.js',
+    '@material/web/progress/circular-progress.js',
+    '@material/web/progress/linear-progress.js',
+    '@material/web/radio/radio.js',
+    '@material/web/ripple/ripple.js',
+    '@material/web/select/outlined-select.js',
+    '@material/web/select/select-option.js',
+    '@material/web/slider/slider.js',
+    '@material/web/switch/switch.js',
+    '@material/web/tabs/primary-tab.js',
+    '@material/web/tabs/tabs.js',
+    '@material/web/textfield/outlined-text-field.js'
+];
+
+const ALL_IMPORT = '@material/web/all.js';
+const COMMON_IMPORT = '@material/web/common.js';
+
+function roundSize(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Estimate the bundle cost of a set of tags, import paths and/or HTML markup
+async function estimateBundleSize({ items = [], html } = {}) {
+    const sizeRows = await loadSizeTable();
+    const registry = await getElementRegistry();
+    const rowsByImport = new Map(sizeRows.map(row => [row.importPath, row]));
+
+    const requested = [...items];
+    if (html) {
+        const $ = cheerio.load(html);
+        for (const elem of $('*').toArray()) {
+            const tag = $(elem).prop('tagName').toLowerCase();
+            if (tag.startsWith('md-')) requested.push(tag);
+        }
+    }
+
+    const imports = new Map();
+    const unresolved = [];
+    for (const item of requested) {
+        const name = item.trim();
+        let importPath = null;
+        let tag = null;
+        if (rowsByImport.has(name)) {
+            importPath = name;
+        } else if (registry.has(name.toLowerCase())) {
+            tag = name.toLowerCase();
+            importPath = registry.get(tag).importPath;
+        }
+        if (!importPath || !rowsByImport.has(importPath)) {
+            if (!unresolved.includes(name)) unresolved.push(name);
+            continue;
+        }
+        if (!imports.has(importPath)) {
+            const { component, gzip, minified, cssPercent } = rowsByImport.get(importPath);
+            imports.set(importPath, { importPath, component, gzip, minified, cssPercent, elements: [] });
+        }
+        const row = imports.get(importPath);
+        if (tag && !row.elements.includes(tag)) row.elements.push(tag);
+    }
+
+    const rows = [...imports.values()];
+    const total = {
+        gzip: roundSize(rows.reduce((sum, row) => sum + (row.gzip || 0), 0)),
+        minified: roundSize(rows.reduce((sum, row) => sum + (row.minified || 0), 0))
+    };
+
+    const bundle = (importPath, covers) => {
+        const row = rowsByImport.get(importPath);
+        return { importPath, gzip: row ? row.gzip : null, minified: row ? row.minified : null, covers };
+    };
+    const bundles = {
+        all: bundle(ALL_IMPORT, true),
+        common: bundle(COMMON_IMPORT, rows.every(row =>
+            row.importPath === COMMON_IMPORT || COMMON_IMPORTS.includes(row.importPath)
+        ))
+    };
+
+    let recommendation = 'individual';
+    let cheapest = total.gzip;
+    for (const [name, option] of Object.entries(bundles)) {
+        if (rows.length > 0 && option.covers && option.gzip !== null && option.gzip < cheapest) {
+            recommendation = name;
+            cheapest = option.gzip;
+        }
+    }
+
+    return {
+        imports: rows,
+        unresolved,
+        total,
+        bundles,
+        recommendation,
+        note: 'Each import is measured as a standalone bundle, so the total overstates code shared between components.'
+    };
+}
+
+// Blank out CSS comments, keeping offsets in line with the source
+function stripCssComments(css) {
+    return css.replace(/\/\*[\s\S]*?\*\//g, comment => ' '.repeat(comment.length));
+}
+
+// Custom property declarations of a CSS block with the offsets of their names
+// and values
+function cssDeclarations(css) {
+    const declarations = [];
+    if (!css) return declarations;
+    const stripped = stripCssComments(css);
+    const regex = /(--[\w-]+)\s*:\s*([^;{}]+)/g;
+    let match;
+    while ((match = regex.exec(stripped)) !== null) {
+        declarations.push({
+            name: match[1],
+            value: match[2].trim(),
+            start: match.index,
+            valueStart: match.index + match[0].length - match[2].length
+        });
+    }
+    return declarations;
+}
+
+// Extract custom property declarations from a CSS block; later ones win
+function parseCssCustomProperties(css) {
+    return new Map(cssDeclarations(css).map(({ name, value }) => [name, value]));
+}
+
+// Returns the referenced token and optional fallback of a token value, which
+// is either a bare token name (as in the doc tables) or a var() expression
+function parseTokenReference(value) {
+    if (/^--[\w-]+$/.test(value)) return { token: value, fallback: null };
+    const match = value.match(/^var\(\s*(--[\w-]+)\s*(?:,\s*([\s\S]*))?\)$/);
+    if (!match) return null;
+    return { token: match[1], fallback: match[2] ? match[2].trim() : null };
+}
+
+// Follow a token through its documented defaults (and any overrides) until it
+// reaches a concrete value or a system token the theme is expected to set
+async function resolveToken(name, overridesCss) {
+    const catalog = await getTokenCatalog();
+    const overrides = parseCssCustomProperties(overridesCss);
+    const token = `--${name.trim().replace(/^-+/, '')}`;
+    const chain = [];
+    const seen = new Set();
+    let current = token;
+    let fallback = null;
+    let value = null;
+
+    while (current) {
+        const entry = catalog.get(current);
+        const doc = entry ? entry.doc : null;
+        if (seen.has(current)) {
+            return { token, found: true, value: null, resolved: false, chain, error: `Circular reference at ${current}` };
+        }
+        seen.add(current);
+
+        let hopValue;
+        let source;
+        if (overrides.has(current)) {
+            hopValue = overrides.get(current);
+            source = 'override';
+        } else if (entry && entry.default) {
+            hopValue = entry.default;
+            source = 'default';
+        } else if (fallback !== null) {
+            hopValue = fallback;
+            source = 'fallback';
+        } else {
+            chain.push({ token: current, value: null, source: 'unset', doc });
+            break;
+        }
+        chain.push({ token: current, value: hopValue, source, doc });
+
+        const reference = parseTokenReference(hopValue);
+        if (!reference) {
+            value = hopValue;
+            break;
+        }
+        current = reference.token;
+        fallback = reference.fallback;
+    }
+
+    return {
+        token,
+        found: catalog.has(token) || overrides.has(token),
+        value,
+        resolved: value !== null,
+        chain
+    };
+}
+
+// Values a string property accepts when its description enumerates them,
+// e.g. 'May be "button", "reset", or "submit"' or a "- text - email" list
+function describedValues({ description, default: defaultValue }) {
+    if (!description) return [];
+    const values = new Set();
+    const list = description.match(/:\s*\n((?:-\s+[a-z][a-z-]*\s*)+)$/m);
+    if (list) {
+        for (const match of list[1].matchAll(/(?:^|\s)-\s+([a-z][a-z-]*)/g)) values.add(match[1]);
+    }
+    for (const sentence of description.split(/(?<=\.)\s+/)) {
+        if (!/\b(?:may be|defaults to|change to)\b/i.test(sentence)) continue;
+        for (const match of sentence.matchAll(/"([^"]+)"/g)) values.add(match[1]);
+    }
+    const quotedDefault = defaultValue && defaultValue.match(/^'([^']+)'$/);
+    if (values.size > 0 && quotedDefault) values.add(quotedDefault[1]);
+    return [...values];
+}
+
+// Value type of a property from its Type column: boolean, number, string,
+// or enum for literal unions and enumerated string descriptions
+function attributeValueType(property) {
+    const parts = (property.type || '').split('|')
+        .map(part => part.trim())
+        .filter(part => part && part !== 'undefined' && part !== 'null');
+    const literals = parts.filter(part => /^(['"]).*\1$/.test(part)).map(part => part.slice(1, -1));
+    if (literals.length > 0 && literals.length === parts.length) {
+        return { kind: 'enum', values: literals };
+    }
+    if (parts.length !== 1) return { kind: 'unknown' };
+    if (parts[0] === 'string') {
+        const values = describedValues(property);
+        return values.length > 1 ? { kind: 'enum', values } : { kind: 'string' };
+    }
+    return ['boolean', 'number'].includes(parts[0]) ? { kind: parts[0] } : { kind: 'unknown' };
+}
+
+// Check an attribute value against its property type; returns null when it
+// is acceptable, otherwise a finding
+function checkAttributeValue(tag, property, value) {
+    const { kind, values } = attributeValueType(property);
+    const attr = property.attribute;
+    if (kind === 'boolean') {
+        if (['false', '0', 'off', 'no'].includes(value.trim().toLowerCase())) {
+            return { ruleId: 'boolean-attribute', severity: 'error', message: `${attr}="${value}" on ${tag} still turns ${attr} on; boolean attributes are true whenever present, so remove the attribute instead` };
+        }
+        if (value !== '' && value.toLowerCase() !== attr) {
+            return { ruleId: 'boolean-attribute', severity: 'warning', message: `Boolean attribute '${attr}' on ${tag} ignores its value '${value}'; write ${attr} without a value or remove it` };
+        }
+    } else if (kind === 'number') {
+        if (value.trim() === '' || !Number.isFinite(Number(value))) {
+            return { ruleId: 'attribute-value', severity: 'error', message: `Invalid value '${value}' for ${attr} on ${tag}: expected a number${property.default ? ` (default ${property.default})` : ''}` };
+        }
+    } else if (kind === 'enum') {
+        if (!values.includes(value.trim().toLowerCase())) {
+            return { ruleId: 'attribute-value', severity: 'error', message: `Invalid value '${value}' for ${attr} on ${tag}: expected one of ${values.map(v => `'${v}'`).join(', ')}` };
+        }
+    }
+    return null;
+}
+
+// Slots an element needs unless one of the alternative attributes labels it
+const REQUIRED_SLOTS = {
+    'md-dialog': { slot: 'headline', unless: ['aria-label', 'aria-labelledby'], doc: 'components/dialog.md#accessibility' }
+};
+
+// Check the named slots of an element's children against the known ones.
+// Slots of elements missing from ELEMENT_SLOTS are only inferred from the
+// docs, so an element with none found there is not checked.
+function checkSlots($, elem, entry) {
+    const findings = [];
+    const tag = entry.tagName;
+    const doc = `${entry.doc}#usage`;
+    const accepted = entry.slots.map(slot => `'${slot}'`).join(', ');
+
+    for (const child of $(elem).children('[slot]').toArray()) {
+        const slot = $(child).attr('slot');
+        const childTag = $(child).prop('tagName').toLowerCase();
+        if (entry.slots.length === 0) {
+            if (!ELEMENT_SLOTS[tag]) continue;
+            findings.push({
+                ruleId: 'slot-not-accepted',
+                severity: 'warning',
+                message: `${tag} has no named slots, so <${childTag} slot="${slot}"> is not rendered`,
+                doc,
+                node: child,
+                attr: 'slot'
+            });
+        } else if (!entry.slots.includes(slot)) {
+            findings.push({
+                ruleId: 'unknown-slot',
+                severity: 'warning',
+                message: `Unknown slot '${slot}' for ${tag}; expected one of ${accepted}`,
+                doc,
+                node: child,
+                attr: 'slot'
+            });
+        }
+    }
+
+    const required = REQUIRED_SLOTS[tag];
+    if (required && $(elem).children(`[slot="${required.slot}"]`).length === 0 &&
+        !required.unless.some(attr => $(elem).attr(attr) !== undefined)) {
+        findings.push({
+            ruleId: 'missing-slot',
+            severity: 'warning',
+            message: `${tag} is missing its '${required.slot}' slot; add one or set ${required.unless.join(' or ')} (see ${required.doc})`,
+            doc: required.doc,
+            node: elem
+        });
+    }
+    return findings;
+}
+
+// Composite children and the parents they must sit directly inside; chips
+// only "should" appear in a set, so a lone chip is a warning. Orphans are
+// fixed by wrapping them in the wrapper, when there is an obvious one
+const PARENT_RULES = {
+    'md-select-option': { parents: ['md-filled-select', 'md-outlined-select'], severity: 'error', wrapper: 'md-outlined-select' },
+    'md-menu-item': { parents: ['md-menu', 'md-sub-menu'], severity: 'error' },
+    'md-sub-menu': { parents: ['md-menu'], severity: 'error' },
+    'md-primary-tab': { parents: ['md-tabs'], severity: 'error', wrapper: 'md-tabs' },
+    'md-secondary-tab': { parents: ['md-tabs'], severity: 'error', wrapper: 'md-tabs' },
+    'md-list-item': { parents: ['md-list'], severity: 'error', wrapper: 'md-list' },
+    'md-assist-chip': { parents: ['md-chip-set'], severity: 'warning', wrapper: 'md-chip-set' },
+    'md-filter-chip': { parents: ['md-chip-set'], severity: 'warning', wrapper: 'md-chip-set' },
+    'md-input-chip': { parents: ['md-chip-set'], severity: 'warning', wrapper: 'md-chip-set' },
+    'md-suggestion-chip': { parents: ['md-chip-set'], severity: 'warning', wrapper: 'md-chip-set' }
+};
+
+// Elements drawn over their parent, which must be a positioned container
+const POSITIONED_HOST_ELEMENTS = ['md-ripple', 'md-focus-ring'];
+
+// Selectors of <style> rules that set a non-static position
+function positionedSelectors($) {
+    const selectors = [];
+    $('style').each((_, style) => {
+        for (const match of $(style).text().matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+            if (/(?:^|;)\s*position\s*:\s*(?:relative|absolute|fixed|sticky)\b/i.test(match[2])) {
+                selectors.push(...match[1].split(',').map(selector => selector.trim()).filter(Boolean));
+            }
+        }
+    });
+    return selectors;
+}
+
+function isPositioned($, elem, selectors) {
+    if (/(?:^|;)\s*position\s*:\s*(?:relative|absolute|fixed|sticky)\b/i.test($(elem).attr('style') || '')) {
+        return true;
+    }
+    return selectors.some(selector => {
+        try {
+            return $(elem).is(selector);
+        } catch {
+            // Selectors cheerio cannot evaluate (pseudo-elements etc.)
+            return false;
+        }
+    });
+}
+
+// Whether CSS the markup does not include may style an element: the page
+// has no <style> rules or links a stylesheet, or the element has a class or
+// id that no <style> rule names
+function mayBeStyledElsewhere($, elem) {
+    if ($('style').length === 0 || $('link[rel~="stylesheet"]').length > 0) return true;
+    const css = $('style').text();
+    const id = $(elem).attr('id');
+    const names = ($(elem).attr('class') || '').split(/\s+/).filter(Boolean).map(name => `.${name}`);
+    if (id) names.push(`#${id}`);
+    return names.some(name => !new RegExp(`${escapeRegex(name)}(?![\\w-])`).test(css));
+}
+
+// Check where an element sits: composite children need their documented
+// parent and ripples/focus rings a positioned one
+function checkStructure($, elem, entry, selectors) {
+    const findings = [];
+    const tag = entry.tagName;
+    const doc = `${entry.doc}#usage`;
+    const parent = $(elem).parent();
+    const parentTag = parent.length > 0 ? parent.prop('tagName').toLowerCase() : null;
+
+    const rule = PARENT_RULES[tag];
+    if (rule && !rule.parents.includes(parentTag)) {
+        const ancestor = $(elem).parents(rule.parents.join(', ')).first();
+        findings.push({
+            ruleId: 'parent-element',
+            severity: rule.severity,
+            message: ancestor.length > 0
+                ? `${tag} must be a direct child of ${ancestor.prop('tagName').toLowerCase()}, not <${parentTag}>`
+                : `${tag} must be placed inside ${rule.parents.join(' or ')}`,
+            doc,
+            node: elem
+        });
+    }
+
+    if (POSITIONED_HOST_ELEMENTS.includes(tag) && (!parentTag || !isPositioned($, parent[0], selectors))) {
+        let message = `${tag} needs a positioned parent; place it inside a container with position: relative`;
+        if (parentTag) {
+            message = mayBeStyledElsewhere($, parent[0])
+                ? `${tag} needs a positioned parent; unless a stylesheet outside this markup positions <${parentTag}>, give it position: relative`
+                : `${tag} needs a positioned parent; give <${parentTag}> position: relative`;
+        }
+        findings.push({ ruleId: 'positioned-host', severity: 'warning', message, doc, node: elem });
+    }
+    return findings;
+}
+
+function hasAccessibleName($, elem) {
+    return Boolean(($(elem).attr('aria-label') || '').trim()) || $(elem).attr('aria-labelledby') !== undefined;
+}
+
+// Whether an inline script sets a menu's anchor or anchorElement, or looks
+// up the anchor element by its id
+function scriptsManageAnchor($, anchor) {
+    const id = escapeRegex(anchor);
+    const lookup = new RegExp(`['"\`]#${id}(?![\\w-])|getElementById\\(\\s*['"\`]${id}['"\`]`);
+    return $('script:not([src])').toArray().some((script) => {
+        const type = ($(script).attr('type') || '').toLowerCase();
+        if (type && type !== 'module' && !type.includes('javascript')) return false;
+        const code = $(script).text();
+        return /\.anchor(?:Element)?\s*=(?!=)|setAttribute\(\s*['"`]anchor['"`]/.test(code) || lookup.test(code);
+    });
+}
+
+// Requirements from each component's Accessibility section; test returns
+// true when the element satisfies the rule
+const A11Y_RULES = [
+    {
+        id: 'a11y-icon-button-label',
+        tags: ['md-icon-button', 'md-filled-icon-button', 'md-filled-tonal-icon-button', 'md-outlined-icon-button'],
+        doc: 'components/icon-button.md#accessibility',
+        test: hasAccessibleName,
+        message: tag => `${tag} needs an aria-label describing its action`
+    },
+    {
+        id: 'a11y-fab-label',
+        tags: ['md-fab', 'md-branded-fab'],
+        doc: 'components/fab.md#accessibility',
+        test: ($, elem) => $(elem).attr('label') !== undefined || hasAccessibleName($, elem),
+        message: tag => `Icon-only ${tag} needs an aria-label describing its action`
+    },
+    {
+        id: 'a11y-progress-label',
+        tags: ['md-circular-progress', 'md-linear-progress'],
+        doc: 'components/progress.md#accessibility',
+        test: hasAccessibleName,
+        message: tag => `${tag} needs an aria-label giving it a descriptive name`
+    },
+    {
+        id: 'a11y-control-label',
+        tags: ['md-checkbox', 'md-radio', 'md-switch'],
+        doc: tag => `components/${tag.replace(/^md-/, '')}.md#accessibility`,
+        test: hasAccessibleName,
+        message: tag => `${tag} needs an aria-label; it is not labelled by a <label> element`
+    },
+    {
+        id: 'a11y-radio-group',
+        tags: ['md-radio'],
+        doc: 'components/radio.md#accessibility',
+        test: ($, elem) => $(elem).closest('[role="radiogroup"]').length > 0,
+        message: () => 'md-radio should be placed inside an element with role="radiogroup"'
+    },
+    {
+        id: 'a11y-text-field-label',
+        tags: ['md-filled-text-field', 'md-outlined-text-field'],
+        doc: 'components/text-field.md#accessibility',
+        test: ($, elem) => Boolean($(elem).attr('label')) || hasAccessibleName($, elem),
+        message: tag => `${tag} without a label attribute needs an aria-label`
+    },
+    {
+        id: 'a11y-container-label',
+        tags: ['md-tabs', 'md-chip-set'],
+        doc: tag => tag === 'md-tabs' ? 'components/tabs.md#accessibility' : 'components/chip.md#accessibility',
+        test: hasAccessibleName,
+        message: tag => `${tag} needs an aria-label or aria-labelledby`
+    },
+    {
+        id: 'a11y-menu-anchor',
+        tags: ['md-menu'],
+        doc: 'components/menu.md#accessibility',
+        test: ($, elem) => {
+            const anchor = $(elem).attr('anchor');
+            const target = anchor ? $(`[id="${anchor.replace(/"/g, '\\"')}"]`) : null;
+            // Anchors set from script or outside the snippet cannot be checked,
+            // nor can anchors a script looks up, which may get their ARIA
+            // attributes at runtime
+            if (!target || target.length === 0 || scriptsManageAnchor($, anchor)) return true;
+            // Comboboxes have an implicit aria-haspopup of listbox
+            const combobox = target.attr('role') === 'combobox' || target.attr('type') === 'combobox';
+            return (combobox || target.attr('aria-haspopup') !== undefined) && target.attr('aria-expanded') !== undefined;
+        },
+        message: (tag, $, elem) => `The anchor #${$(elem).attr('anchor')} of ${tag} needs aria-haspopup and aria-expanded`
+    }
+];
+
+// Run the accessibility rules that apply to an element
+function checkAccessibility($, elem, tag) {
+    const findings = [];
+    for (const rule of A11Y_RULES) {
+        if (!rule.tags.includes(tag) || rule.test($, elem)) continue;
+        const doc = typeof rule.doc === 'function' ? rule.doc(tag) : rule.doc;
+        findings.push({
+            ruleId: rule.id,
+            severity: 'warning',
+            message: `${rule.message(tag, $, elem)} (see ${doc})`,
+            doc,
+            node: elem
+        });
+    }
+    return findings;
+}
+
+const CSS_COLOR_REGEX = /^(?:#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color|color-mix)\(.*\)|transparent|currentcolor)$/i;
+const CSS_LENGTH_REGEX = /^-?(?:\d+|\d*\.\d+)(?:px|r?em|%|vh|vw|vmin|vmax|ch|ex|pt)?$/i;
+
+// Kind of value a token takes, judged by its name
+function tokenValueKind(entry) {
+    if (entry.category === 'color') return 'color';
+    if (entry.category === 'shape' || /-(?:size|width|height|thickness)$/.test(entry.name)) return 'length';
+    return null;
+}
+
+function cssValueKind(value) {
+    if (CSS_COLOR_REGEX.test(value)) return 'color';
+    if (CSS_LENGTH_REGEX.test(value)) return 'length';
+    return null;
+}
+
+// Catalog tokens within two edits of a name, closest first
+function suggestTokens(name, catalog) {
+    let best = 3;
+    let matches = [];
+    for (const candidate of catalog.keys()) {
+        if (Math.abs(candidate.length - name.length) > 2) continue;
+        const distance = editDistance(name, candidate, 2);
+        if (distance > 2) continue;
+        if (distance < best) {
+            best = distance;
+            matches = [candidate];
+        } else if (distance === best) {
+            matches.push(candidate);
+        }
+    }
+    return matches.slice(0, 3);
+}
+
+function tokenDoc(entry) {
+    if (!entry || !entry.doc) return null;
+    return entry.section ? `${entry.doc}#${slugify(entry.section)}` : entry.doc;
+}
+
+// Source location of an offset range, shaped like a parse5 location
+function spanAt(html, startOffset, endOffset) {
+    const start = positionAt(html, startOffset);
+    const end = positionAt(html, endOffset);
+    return { startLine: start.line, startCol: start.column, startOffset, endLine: end.line, endCol: end.column, endOffset };
+}
+
+// CSS in <style> elements and style attributes, with its offset in the markup
+function styleSources($, html) {
+    const sources = [];
+    $('style').each((_, elem) => {
+        for (const child of elem.children) {
+            const location = child.sourceCodeLocation;
+            if (location) {
+                sources.push({ node: elem, css: html.slice(location.startOffset, location.endOffset), offset: location.startOffset });
+            }
+        }
+    });
+    $('[style]').each((_, elem) => {
+        const span = elem.sourceCodeLocation && elem.sourceCodeLocation.attrs && elem.sourceCodeLocation.attrs.style;
+        if (!span) return;
+        const text = html.slice(span.startOffset, span.endOffset);
+        const prefix = text.match(/^style\s*=\s*(["']?)/i);
+        if (!prefix) return;
+        const end = prefix[1] ? text.length - 1 : text.length;
+        sources.push({ node: elem, css: text.slice(prefix[0].length, end), offset: span.startOffset + prefix[0].length });
+    });
+    return sources;
+}
+
+// Check --md-* declarations and var() references against the token catalog
+function checkTokens($, html, catalog, registry) {
+    const findings = [];
+    // Component token tables list only the commonly used tokens and link to
+    // the rest, so a name under a known element prefix may still be valid
+    const isUndocumented = (name) => !/^--md-(?:sys|ref)-/.test(name) &&
+        [...registry.keys()].some(tag => name.startsWith(`--${tag}-`));
+
+    const checkName = (node, name, offset) => {
+        if (catalog.has(name)) return;
+        const suggestions = suggestTokens(name, catalog);
+        if (suggestions.length === 0 && isUndocumented(name)) return;
+        const hint = suggestions.length > 0 ? `; did you mean ${suggestions.join(' or ')}?` : '';
+        findings.push({
+            ruleId: 'unknown-token',
+            severity: 'warning',
+            message: `Unknown token ${name}${hint}`,
+            doc: suggestions.length > 0 ? tokenDoc(catalog.get(suggestions[0])) : null,
+            node,
+            span: spanAt(html, offset, offset + name.length),
+            token: name,
+            suggestions
+        });
+    };
+
+    for (const { node, css, offset } of styleSources($, html)) {
+        for (const declaration of cssDeclarations(css)) {
+            if (!declaration.name.startsWith('--md-')) continue;
+            checkName(node, declaration.name, offset + declaration.start);
+
+            const entry = catalog.get(declaration.name);
+            const expected = entry && tokenValueKind(entry);
+            const actual = cssValueKind(declaration.value);
+            if (expected && actual && expected !== actual) {
+                const valueStart = offset + declaration.valueStart;
+                findings.push({
+                    ruleId: 'token-value',
+                    severity: 'warning',
+                    message: `${declaration.name} expects a ${expected}, not '${declaration.value}'`,
+                    doc: tokenDoc(entry),
+                    node,
+                    span: spanAt(html, valueStart, valueStart + declaration.value.length)
+                });
+            }
+        }
+        const references = /var\(\s*(--md-[\w-]+)/g;
+        const stripped = stripCssComments(css);
+        let match;
+        while ((match = references.exec(stripped)) !== null) {
+            checkName(node, match[1], offset + match.index + match[0].length - match[1].length);
+        }
+    }
+    return findings;
+}
+
+const IMPORT_SPECIFIER_REGEX = /(?:\bimport\s*(?:[\w$*{}\s,]+?\s*from\s*)?|\bimport\s*\(\s*)(['"])([^'"\n]+)\1/g;
+
+// "https://esm.run/@material/web@1.2/button/filled-button.js" ->
+// "@material/web/button/filled-button.js"; null for other modules
+function materialModulePath(url) {
+    const match = url.match(/@material\/web(?:@[^/]+)?\/([\w/-]+\.js)/);
+    return match ? `@material/web/${match[1]}` : null;
+}
+
+// Map a specifier through the page's importmap, longest prefix first
+function applyImportMap(specifier, importMap) {
+    if (importMap[specifier]) return importMap[specifier];
+    const prefix = Object.keys(importMap)
+        .filter(key => key.endsWith('/') && specifier.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? importMap[prefix] + specifier.slice(prefix.length) : specifier;
+}
+
+// Module imports of the page's scripts. Imports are only complete when the
+// page imports @material/web at all and no module script may load it some
+// other way: an external script such as ./index.js, or an inline one that
+// imports other modules but nothing from @material/web, may import anything.
+// Inline scripts that import nothing only hold behaviour code.
+function collectImports($, html) {
+    const importMap = {};
+    $('script[type="importmap"]').each((_, elem) => {
+        try {
+            Object.assign(importMap, JSON.parse($(elem).text()).imports || {});
+        } catch {
+            // A broken importmap maps nothing
+        }
+    });
+
+    const imports = [];
+    let complete = true;
+    $('script[type="module"]').each((_, elem) => {
+        const src = $(elem).attr('src');
+        if (src) {
+            const modulePath = materialModulePath(applyImportMap(src, importMap));
+            if (modulePath) {
+                const span = elem.sourceCodeLocation && elem.sourceCodeLocation.attrs.src;
+                imports.push({ specifier: src, path: modulePath, node: elem, span: span || null });
+            } else {
+                complete = false;
+            }
+            return;
+        }
+        let specifiers = 0;
+        let material = 0;
+        for (const child of elem.children) {
+            const location = child.sourceCodeLocation;
+            if (!location) continue;
+            const code = html.slice(location.startOffset, location.endOffset);
+            let match;
+            IMPORT_SPECIFIER_REGEX.lastIndex = 0;
+            while ((match = IMPORT_SPECIFIER_REGEX.exec(code)) !== null) {
+                specifiers++;
+                const modulePath = materialModulePath(applyImportMap(match[2], importMap));
+                if (!modulePath) continue;
+                material++;
+                const start = location.startOffset + match.index + match[0].length - match[2].length - 1;
+                imports.push({ specifier: match[2], path: modulePath, node: elem, span: spanAt(html, start, start + match[2].length) });
+            }
+        }
+        if (specifiers > 0 && material === 0) complete = false;
+    });
+
+    return { imports, complete: imports.length > 0 && complete };
+}
+
+// Tags used without their module import, and element imports nothing uses
+function checkImports($, html, registry) {
+    const findings = [];
+    const { imports, complete } = collectImports($, html);
+    const imported = new Set(imports.map(entry => entry.path));
+    const used = new Map();
+    for (const elem of $('*').toArray()) {
+        const tag = elem.name.toLowerCase();
+        if (registry.has(tag) && !used.has(tag)) used.set(tag, elem);
+    }
+
+    if (complete && !imported.has(ALL_IMPORT)) {
+        for (const [tag, elem] of used) {
+            const { importPath } = registry.get(tag);
+            if (!importPath || imported.has(importPath)) continue;
+            if (imported.has(COMMON_IMPORT) && COMMON_IMPORTS.includes(importPath)) continue;
+            const message = imported.has(COMMON_IMPORT)
+                ? `<${tag}> is not included in ${COMMON_IMPORT}; import ${importPath}`
+                : `<${tag}> is used but ${importPath} is not imported, so it renders as an unknown element`;
+            findings.push({ ruleId: 'missing-import', severity: 'error', message, doc: 'quick-start.md#import', node: elem, importPath });
+        }
+    }
+
+    const reported = new Set();
+    for (const entry of imports) {
+        if (reported.has(entry.path)) continue;
+        const tags = [...registry.values()].filter(candidate => candidate.importPath === entry.path).map(candidate => candidate.tagName);
+        if (tags.length === 0 || tags.some(tag => used.has(tag))) continue;
+        reported.add(entry.path);
+        findings.push({
+            ruleId: 'unused-import',
+            severity: 'warning',
+            message: `${entry.path} is imported but no <${tags.join('>, <')}> is used`,
+            doc: 'quick-start.md#import',
+            node: entry.node,
+            span: entry.span
+        });
+    }
+    return findings;
+}
+
+// Events every element gets from the DOM, documented or not, including the
+// form and input events that form-associated elements dispatch like native ones
+const DOM_EVENTS = new Set([
+    'click', 'dblclick', 'auxclick', 'contextmenu',
+    'mousedown', 'mouseup', 'mousemove', 'mouseover', 'mouseout', 'mouseenter', 'mouseleave',
+    'pointerdown', 'pointerup', 'pointermove', 'pointerover', 'pointerout', 'pointerenter', 'pointerleave', 'pointercancel',
+    'gotpointercapture', 'lostpointercapture', 'touchstart', 'touchend', 'touchmove', 'touchcancel',
+    'keydown', 'keyup', 'keypress', 'focus', 'blur', 'focusin', 'focusout', 'wheel', 'scroll', 'scrollend',
+    'drag', 'dragstart', 'dragend', 'dragenter', 'dragleave', 'dragover', 'drop', 'copy', 'cut', 'paste',
+    'input', 'beforeinput', 'change', 'select', 'selectionchange', 'invalid', 'submit', 'reset', 'formdata',
+    'toggle', 'beforetoggle', 'compositionstart', 'compositionupdate', 'compositionend',
+    'animationstart', 'animationend', 'animationiteration', 'animationcancel',
+    'transitionrun', 'transitionstart', 'transitionend', 'transitioncancel'
+]);
+
+// Check an event name against the element's Events table
+function checkEvent(entry, event) {
+    if (!entry.api) return null;
+    const events = entry.api.events.map(candidate => candidate.name);
+    const normalized = event.toLowerCase();
+    if (DOM_EVENTS.has(normalized) || events.some(name => name.toLowerCase() === normalized)) return null;
+    const known = events.length > 0
+        ? `its events are ${events.join(', ')}`
+        : 'it documents no events of its own';
+    return {
+        ruleId: 'unknown-event',
+        severity: 'warning',
+        message: `Unknown event '${event}' for ${entry.tagName}; ${known}`
+    };
+}
+
+const LISTENER_REGEX = /(?:\b(querySelector|getElementById)\(\s*(['"])(.+?)\2\s*\)|\b([A-Za-z_$][\w$]*))\s*\.\s*addEventListener\(\s*(['"])([^'"]+)\5/g;
+
+// Check addEventListener('x') calls in inline scripts whose target is an
+// md-* element found by a selector, directly or through a variable
+function checkScriptListeners($, html, registry) {
+    const findings = [];
+    const targets = (method, selector) => {
+        try {
+            return method === 'getElementById' ? $(`[id="${selector.replace(/"/g, '\\"')}"]`).toArray() : $(selector).toArray();
+        } catch {
+            // Selectors cheerio can't parse match nothing we can check
+            return [];
+        }
+    };
+
+    $('script').each((_, script) => {
+        const type = $(script).attr('type');
+        if (type && !/^(module|text\/javascript)$/.test(type)) return;
+        for (const child of script.children) {
+            const location = child.sourceCodeLocation;
+            if (!location) continue;
+            const code = html.slice(location.startOffset, location.endOffset);
+            let match;
+            LISTENER_REGEX.lastIndex = 0;
+            while ((match = LISTENER_REGEX.exec(code)) !== null) {
+                let method = match[1];
+                let selector = match[3];
+                if (match[4]) {
+                    const variable = code.match(new RegExp(`\\b(?:const|let|var)\\s+${escapeRegex(match[4])}\\s*=\\s*document\\s*\\.\\s*(querySelector|getElementById)\\(\\s*(['"])(.+?)\\2\\s*\\)`));
+                    if (!variable) continue;
+                    [, method, , selector] = variable;
+                }
+                const tags = new Set(targets(method, selector).map(elem => elem.name).filter(tag => registry.has(tag)));
+                const start = location.startOffset + match.index + match[0].length - match[6].length - 1;
+                for (const tag of tags) {
+                    const finding = checkEvent(registry.get(tag), match[6]);
+                    if (!finding) continue;
+                    const entry = registry.get(tag);
+                    findings.push({ ...finding, doc: `${entry.doc}#${apiAnchor(entry)}`, node: script, span: spanAt(html, start, start + match[6].length) });
+                }
+            }
+        }
+    });
+    return findings;
+}
+
+// Legacy MWC elements (mwc-*) and what replaces them. `variants` pick the
+// replacement by a boolean attribute and `parents` by the legacy parent;
+// `add` lists attributes the replacement needs. `attributes` translates
+// legacy attributes: a string renames one ("name=value" sets a fixed one
+// instead), { slot, tag } turns the value into an <md-icon> (or `tag`) child
+// in that slot, '#text' makes it the text content, false drops it because
+// the replacement covers it and null drops it with a note. Unlisted
+// attributes are kept when the replacement has them. `slots` renames the
+// slots of children.
+const LEGACY_ELEMENTS = {
+    'mwc-button': {
+        replacement: 'md-text-button',
+        variants: { raised: 'md-filled-button', unelevated: 'md-filled-button', outlined: 'md-outlined-button' },
+        attributes: { label: '#text', icon: { slot: 'icon' }, trailingicon: 'trailing-icon', dense: null, expandcontent: null }
+    },
+    'mwc-icon-button': {
+        replacement: 'md-icon-button',
+        attributes: { icon: { slot: null }, label: 'aria-label' }
+    },
+    'mwc-icon-button-toggle': {
+        replacement: 'md-icon-button',
+        add: ['toggle'],
+        attributes: { on: 'selected', officon: { slot: null }, onicon: { slot: 'selected' }, label: 'aria-label' }
+    },
+    'mwc-fab': {
+        replacement: 'md-fab',
+        attributes: { label: 'label', icon: { slot: 'icon' }, mini: 'size=small', extended: false, showiconatend: null, reducedtouchtarget: false }
+    },
+    'mwc-textfield': {
+        replacement: 'md-filled-text-field',
+        variants: { outlined: 'md-outlined-text-field' },
+        attributes: {
+            helper: 'supporting-text',
+            validationmessage: 'error-text',
+            prefix: 'prefix-text',
+            suffix: 'suffix-text',
+            icon: { slot: 'leading-icon' },
+            icontrailing: { slot: 'trailing-icon' },
+            charcounter: false,
+            helperpersistent: null,
+            endaligned: null,
+            autovalidate: null,
+            validateoninitialrender: null
+        }
+    },
+    'mwc-textarea': {
+        replacement: 'md-filled-text-field',
+        variants: { outlined: 'md-outlined-text-field' },
+        add: ['type="textarea"'],
+        attributes: {
+            helper: 'supporting-text',
+            validationmessage: 'error-text',
+            charcounter: false,
+            helperpersistent: null,
+            endaligned: null,
+            autovalidate: null,
+            validateoninitialrender: null
+        }
+    },
+    'mwc-dialog': {
+        replacement: 'md-dialog',
+        attributes: {
+            heading: { slot: 'headline', tag: 'div' },
+            hideactions: null,
+            scrimclickaction: null,
+            escapekeyaction: null,
+            stacked: null,
+            defaultaction: null,
+            actionattribute: null,
+            initialfocusattribute: null
+        },
+        slots: { primaryaction: 'actions', secondaryaction: 'actions' },
+        note: 'md-dialog only renders slotted content; put the body in an element with slot="content", such as a <form method="dialog"> whose buttons close the dialog'
+    },
+    'mwc-checkbox': { replacement: 'md-checkbox', attributes: { reducedtouchtarget: false } },
+    'mwc-radio': { replacement: 'md-radio', attributes: { reducedtouchtarget: false, global: null } },
+    'mwc-switch': { replacement: 'md-switch' },
+    'mwc-slider': { replacement: 'md-slider', attributes: { discrete: 'labeled', withtickmarks: 'ticks' } },
+    'mwc-slider-range': {
+        replacement: 'md-slider',
+        add: ['range'],
+        attributes: { valuestart: 'value-start', valueend: 'value-end', discrete: 'labeled', withtickmarks: 'ticks' }
+    },
+    'mwc-linear-progress': { replacement: 'md-linear-progress', attributes: { progress: 'value', reverse: null, closed: null } },
+    'mwc-circular-progress': { replacement: 'md-circular-progress', attributes: { progress: 'value', density: null, closed: null } },
+    'mwc-circular-progress-four-color': {
+        replacement: 'md-circular-progress',
+        add: ['four-color'],
+        attributes: { progress: 'value', density: null, closed: null }
+    },
+    'mwc-icon': { replacement: 'md-icon' },
+    'mwc-list': { replacement: 'md-list', attributes: { activatable: null, multi: null, wrapfocus: null, noninteractive: null } },
+    'mwc-list-item': {
+        replacement: 'md-list-item',
+        parents: { 'mwc-menu': 'md-menu-item', 'mwc-select': 'md-select-option' },
+        attributes: { graphic: false, twoline: false, hasmeta: false, noninteractive: null, activated: null },
+        slots: { graphic: 'start', secondary: 'supporting-text', meta: 'end' }
+    },
+    'mwc-check-list-item': {
+        replacement: 'md-list-item',
+        attributes: { left: false, graphic: false, selected: null },
+        note: 'put an md-checkbox in the start or end slot'
+    },
+    'mwc-radio-list-item': {
+        replacement: 'md-list-item',
+        attributes: { left: false, graphic: false, selected: null, group: null },
+        note: 'put an md-radio in the start or end slot'
+    },
+    'mwc-menu': {
+        replacement: 'md-menu',
+        attributes: { fixed: 'positioning=fixed', absolute: null, corner: null, menucorner: null, x: null, y: null, activatable: null, multi: null, fullwidth: null },
+        note: 'set anchor to the id of the element the menu opens from'
+    },
+    'mwc-select': {
+        replacement: 'md-filled-select',
+        variants: { outlined: 'md-outlined-select' },
+        attributes: {
+            helper: 'supporting-text',
+            validationmessage: 'error-text',
+            icon: { slot: 'leading-icon' },
+            fixedmenuposition: 'menu-positioning=fixed',
+            naturalmenuwidth: null
+        }
+    },
+    'mwc-tab-bar': { replacement: 'md-tabs', attributes: { activeindex: 'active-tab-index' } },
+    'mwc-tab': {
+        replacement: 'md-primary-tab',
+        attributes: { label: '#text', icon: { slot: 'icon' }, stacked: false, hasimageicon: null, isfadingindicator: null, mintabwidth: null, indicatoricon: null }
+    },
+    'mwc-ripple': { replacement: 'md-ripple', attributes: { primary: null, accent: null, unbounded: null } },
+    'mwc-formfield': { replacement: null, note: 'wrap the control and its text in a <label>' },
+    'mwc-top-app-bar-fixed': { replacement: null, roadmap: 'Top app bar' },
+    'mwc-top-app-bar-short': { replacement: null, roadmap: 'Top app bar' }
+};
+
+// Block classes of the legacy MDC web components (mdc-*) and what replaces
+// them; `variants` pick the replacement by a modifier class. Other block
+// classes are only reported when the roadmap lists their component.
+const LEGACY_CLASSES = {
+    'mdc-button': {
+        replacement: 'md-text-button',
+        variants: { 'mdc-button--raised': 'md-filled-button', 'mdc-button--unelevated': 'md-filled-button', 'mdc-button--outlined': 'md-outlined-button' }
+    },
+    'mdc-icon-button': { replacement: 'md-icon-button' },
+    'mdc-fab': { replacement: 'md-fab' },
+    'mdc-text-field': { replacement: 'md-filled-text-field', variants: { 'mdc-text-field--outlined': 'md-outlined-text-field' } },
+    'mdc-dialog': { replacement: 'md-dialog' },
+    'mdc-checkbox': { replacement: 'md-checkbox' },
+    'mdc-radio': { replacement: 'md-radio' },
+    'mdc-switch': { replacement: 'md-switch' },
+    'mdc-slider': { replacement: 'md-slider' },
+    'mdc-linear-progress': { replacement: 'md-linear-progress' },
+    'mdc-circular-progress': { replacement: 'md-circular-progress' },
+    'mdc-list': { replacement: 'md-list' },
+    'mdc-deprecated-list': { replacement: 'md-list' },
+    'mdc-list-item': { replacement: 'md-list-item' },
+    'mdc-deprecated-list-item': { replacement: 'md-list-item' },
+    'mdc-menu': { replacement: 'md-menu' },
+    'mdc-select': { replacement: 'md-filled-select', variants: { 'mdc-select--outlined': 'md-outlined-select' } },
+    'mdc-tab-bar': { replacement: 'md-tabs' },
+    'mdc-tab': { replacement: 'md-primary-tab' },
+    'mdc-chip-set': { replacement: 'md-chip-set' },
+    'mdc-evolution-chip-set': { replacement: 'md-chip-set' },
+    'mdc-chip': { replacement: 'md-assist-chip', note: 'use md-filter-chip, md-input-chip or md-suggestion-chip for the other chip types' },
+    'mdc-evolution-chip': { replacement: 'md-assist-chip', note: 'use md-filter-chip, md-input-chip or md-suggestion-chip for the other chip types' },
+    'mdc-ripple-surface': { replacement: 'md-ripple', note: 'add an md-ripple child to a positioned element' },
+    'mdc-form-field': { replacement: null, note: 'wrap the control and its text in a <label>' },
+    'mdc-typography': { replacement: null, note: 'use the --md-sys-typescale-* tokens', doc: 'theming/typography.md' }
+};
+
+// Replacements that take their label in a headline slot
+const HEADLINE_SLOT_ELEMENTS = ['md-menu-item', 'md-select-option'];
+
+// The roadmap item for a legacy name ("mwc-drawer" -> "Navigation drawer")
+function roadmapItem(name, roadmap) {
+    const words = name.replace(/^m[dw]c-/, '').replace(/-/g, ' ').toLowerCase();
+    return roadmap.items.find(item => {
+        const title = item.toLowerCase();
+        return title === words || title.endsWith(` ${words}`);
+    }) || null;
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+}
+
+// What replaces a legacy element and the text changes that migrate its tags:
+// attributes are translated as LEGACY_ELEMENTS describes, and renamed slots
+// of its children are moved with it
+function migrateLegacyElement($, html, elem, registry, roadmap) {
+    const tag = elem.name;
+    const legacy = LEGACY_ELEMENTS[tag] || { replacement: null };
+    const attrs = $(elem).attr();
+    const variant = Object.keys(legacy.variants || {}).find(attr => attr in attrs) || null;
+    const parent = elem.parent && elem.parent.name;
+    const replacement = (legacy.parents && legacy.parents[parent]) || (variant ? legacy.variants[variant] : legacy.replacement);
+    const entry = replacement && registry.get(replacement);
+    const migration = {
+        legacy: tag,
+        kind: 'element',
+        replacement,
+        variant,
+        roadmap: replacement ? null : roadmapItem(legacy.roadmap || tag, roadmap),
+        attributes: [],
+        notes: legacy.note ? [legacy.note] : [],
+        doc: null,
+        node: elem,
+        childTags: [],
+        changes: []
+    };
+    if (!replacement) {
+        migration.doc = migration.roadmap ? roadmap.doc : null;
+        return migration;
+    }
+    migration.doc = entry ? entry.doc : null;
+
+    const location = elem.sourceCodeLocation;
+    const parentSlots = (LEGACY_ELEMENTS[parent] && LEGACY_ELEMENTS[parent].slots) || {};
+    const translated = [...(legacy.add || [])];
+    const children = [];
+    let text = null;
+    for (const [attr, value] of Object.entries(attrs)) {
+        if (legacy.variants && attr in legacy.variants) continue;
+        const source = html.slice(location.attrs[attr].startOffset, location.attrs[attr].endOffset);
+        // Parsing lowercases names; name the attribute as written
+        const written = source.slice(0, attr.length);
+        const rule = legacy.attributes && attr in legacy.attributes ? legacy.attributes[attr] : undefined;
+        if (attr === 'slot' && parentSlots[value.toLowerCase()]) {
+            const slot = `slot="${parentSlots[value.toLowerCase()]}"`;
+            translated.push(slot);
+            migration.attributes.push({ from: source, to: slot });
+        } else if (rule === undefined) {
+            const kept = !entry || !entry.api || /^on[a-z]/.test(attr) ||
+                matchesPattern(attr, GLOBAL_ATTRIBUTES) ||
+                entry.api.properties.some(property => property.attribute === attr);
+            if (kept) {
+                translated.push(source);
+            } else {
+                migration.attributes.push({ from: source, to: null });
+                migration.notes.push(`${written} has no equivalent on ${replacement}`);
+            }
+        } else if (rule === null) {
+            migration.attributes.push({ from: source, to: null });
+            migration.notes.push(`${written} has no equivalent on ${replacement}`);
+        } else if (rule === '#text') {
+            text = escapeText(value);
+            migration.attributes.push({ from: source, to: text });
+        } else if (typeof rule === 'string') {
+            const [name, fixed] = rule.split('=');
+            const to = fixed === undefined ? `${name}${source.slice(written.length)}` : `${name}="${fixed}"`;
+            translated.push(to);
+            migration.attributes.push({ from: source, to });
+        } else if (rule) {
+            const child = rule.tag || 'md-icon';
+            const to = `<${child}${rule.slot ? ` slot="${rule.slot}"` : ''}>${escapeText(value)}</${child}>`;
+            children.push(to);
+            if (!migration.childTags.includes(child)) migration.childTags.push(child);
+            migration.attributes.push({ from: source, to });
+        }
+    }
+
+    // Menu items and select options label themselves through a headline
+    // slot; wrap the content unless it is slotted already
+    const content = $(elem).contents().toArray();
+    const wrap = HEADLINE_SLOT_ELEMENTS.includes(replacement) &&
+        (text !== null || $(elem).text().trim() !== '') &&
+        !content.some(node => node.type === 'tag' && $(node).attr('slot') !== undefined);
+    const open = `<${[replacement, ...translated].join(' ')}>${children.join('')}${wrap ? '<div slot="headline">' : ''}${text || ''}`;
+    migration.changes.push({ start: location.startTag.startOffset, end: location.startTag.endOffset, text: open });
+    if (location.endTag) {
+        migration.changes.push({ start: location.endTag.startOffset, end: location.endTag.endOffset, text: `${wrap ? '</div>' : ''}</${replacement}>` });
+    }
+
+    // Children that are not legacy elements themselves move slots here
+    for (const child of $(elem).children().toArray()) {
+        const slot = ($(child).attr('slot') || '').toLowerCase();
+        if (child.name.startsWith('mwc-') || !legacy.slots || !legacy.slots[slot]) continue;
+        const span = child.sourceCodeLocation.attrs.slot;
+        migration.changes.push({ start: span.startOffset, end: span.endOffset, text: `slot="${legacy.slots[slot]}"` });
+    }
+    return migration;
+}
+
+// What replaces an element styled with a legacy MDC block class. The
+// markup is left as is, so every finding notes it needs rewriting by hand.
+function migrateLegacyClass($, elem, className, registry, roadmap) {
+    const legacy = LEGACY_CLASSES[className] || { replacement: null };
+    const classes = ($(elem).attr('class') || '').split(/\s+/);
+    const variant = Object.keys(legacy.variants || {}).find(modifier => classes.includes(modifier)) || null;
+    const replacement = variant ? legacy.variants[variant] : legacy.replacement;
+    const entry = replacement && registry.get(replacement);
+    const item = replacement ? null : roadmapItem(className, roadmap);
+    return {
+        legacy: className,
+        kind: 'class',
+        replacement,
+        variant,
+        roadmap: item,
+        attributes: [],
+        notes: [...(legacy.note ? [legacy.note] : []), `rewrite the ${className} markup by hand; migratedHtml leaves MDC classes unchanged`],
+        doc: legacy.doc || (entry ? entry.doc : null) || (item ? roadmap.doc : null),
+        node: elem,
+        childTags: [],
+        changes: []
+    };
+}
+
+// Every legacy mwc-* element and mdc-* block class in the markup. MDC
+// markup nests parts (mdc-button__label) that go away with the block, so
+// unknown block classes are only reported for components on the roadmap.
+function legacyMigrations($, html, registry, roadmap) {
+    const migrations = [];
+    for (const elem of $('*').toArray()) {
+        if (elem.name.startsWith('mwc-')) {
+            migrations.push(migrateLegacyElement($, html, elem, registry, roadmap));
+        }
+        const blocks = ($(elem).attr('class') || '').split(/\s+/).filter(name => /^mdc-[a-z0-9-]+$/.test(name) && !name.includes('--'));
+        for (const className of new Set(blocks)) {
+            if (!LEGACY_CLASSES[className] && !roadmapItem(className, roadmap)) continue;
+            migrations.push(migrateLegacyClass($, elem, className, registry, roadmap));
+        }
+    }
+    return migrations;
+}
+
+// "mwc-button is a legacy MWC element; use md-filled-button (raised)"
+function legacyMessage(migration) {
+    const what = `${migration.legacy} is a legacy ${migration.kind === 'element' ? 'MWC element' : 'MDC class'}`;
+    if (migration.replacement) {
+        return `${what}; use ${migration.replacement}${migration.variant ? ` (${migration.variant})` : ''}`;
+    }
+    if (migration.roadmap) {
+        return `${what} with no Material Web equivalent yet; ${migration.roadmap} is on the roadmap but not built`;
+    }
+    return `${what} with no Material Web equivalent${migration.notes.length > 0 ? `; ${migration.notes[0]}` : ''}`;
+}
+
+function checkLegacy($, html, registry, roadmap) {
+    return legacyMigrations($, html, registry, roadmap).map(migration => ({
+        ruleId: migration.kind === 'element' ? 'legacy-element' : 'legacy-class',
+        severity: 'warning',
+        message: legacyMessage(migration),
+        doc: migration.doc,
+        node: migration.node,
+        ...(migration.kind === 'class' ? { attr: 'class' } : {})
+    }));
+}
+
+// HTML global attributes every element accepts, including data-*, plus the
+// ARIA attributes the accessibility rules ask for
+const GLOBAL_ATTRIBUTES = [
+    'accesskey', 'autofocus', 'class', 'contenteditable', 'dir', 'draggable', 'enterkeyhint', 'exportparts',
+    'hidden', 'id', 'inert', 'inputmode', 'is', 'lang', 'nonce', 'part', 'popover', 'role', 'slot',
+    'spellcheck', 'style', 'tabindex', 'title', 'translate', 'data-*', 'aria-*'
+];
+const RULE_SEVERITIES = ['error', 'warning', 'off'];
+
+// Validator configuration, from a JSON file or a tool argument: severity per
+// rule id (or pattern such as "a11y-*"), extra allowed attributes (e.g.
+// "hx-*") and custom elements that are not Material components
+const validatorConfigSchema = z.object({
+    rules: z.record(z.enum(RULE_SEVERITIES)).optional(),
+    allowAttributes: z.array(z.string()).optional(),
+    allowElements: z.array(z.string()).optional()
+});
+
+// Whether a name matches one of a list of names with * wildcards
+function matchesPattern(name, patterns) {
+    return patterns.some(pattern => pattern.includes('*')
+        ? new RegExp(`^${pattern.split('*').map(escapeRegex).join('.*')}$`).test(name)
+        : pattern === name);
+}
+
+function resolveValidatorConfig({ rules = {}, allowAttributes = [], allowElements = [] } = {}) {
+    return { rules, allowAttributes: [...GLOBAL_ATTRIBUTES, ...allowAttributes], allowElements };
+}
+
+// Combine configs; the later one wins per rule and adds to the allowlists
+function mergeValidatorConfigs(base = {}, override = {}) {
+    return {
+        rules: { ...base.rules, ...override.rules },
+        allowAttributes: [...(base.allowAttributes || []), ...(override.allowAttributes || [])],
+        allowElements: [...(base.allowElements || []), ...(override.allowElements || [])]
+    };
+}
+
+// Directory that relative paths given to the validation tools resolve
+// against. The server runs from its package directory, so the bin passes the
+// directory it was started from as MATERIAL_WEB_MCP_PROJECT_ROOT.
+function projectRoot() {
+    return path.resolve(process.env.MATERIAL_WEB_MCP_PROJECT_ROOT || process.cwd());
+}
+
+// Read a validator config file inside root (the project root unless given);
+// errors name the file relative to root and never echo its content
+async function loadValidatorConfig(file, { root = projectRoot() } = {}) {
+    const filePath = path.resolve(root, file);
+    const name = path.relative(root, filePath).split(path.sep).join('/');
+    if (name.startsWith('..') || path.isAbsolute(name)) {
+        throw new Error(`Validator config ${file} is outside the project root`);
+    }
+    return readValidatorConfig(filePath, name);
+}
+
+// Read a validator config file from any path, for callers such as the CLI
+// that pick the file themselves; errors call the file by name
+async function readValidatorConfig(filePath, name = filePath) {
+    let content;
+    try {
+        content = await withTimeout(fs.readFile(filePath, 'utf-8'), 5000);
+    } catch (error) {
+        throw new Error(`Cannot read validator config ${name}${error.code ? ` (${error.code})` : ''}`);
+    }
+    let json;
+    try {
+        json = JSON.parse(content);
+    } catch {
+        throw new Error(`Invalid JSON in ${name}`);
+    }
+    try {
+        return validatorConfigSchema.parse(json);
+    } catch (error) {
+        const issues = (error.issues || []).map(issue => `${issue.path.join('.') || 'config'}: ${issue.message}`);
+        throw new Error(`Invalid validator config ${name}${issues.length ? `: ${issues.join('; ')}` : ''}`);
+    }
+}
+
+// The config a validation tool was called with: its configFile inside root,
+// overridden by an inline config
+async function validatorConfigFrom({ config, configFile }, root = projectRoot()) {
+    return mergeValidatorConfigs(configFile ? await loadValidatorConfig(configFile, { root }) : {}, config);
+}
+
+// Severity of a rule under the configured rules: an exact id wins over the
+// longest matching pattern
+function ruleSeverity(rules, ruleId, severity) {
+    if (rules[ruleId]) return rules[ruleId];
+    const pattern = Object.keys(rules)
+        .filter(key => key.includes('*') && matchesPattern(ruleId, [key]))
+        .sort((a, b) => b.length - a.length)[0];
+    return pattern ? rules[pattern] : severity;
+}
+
+// Rules turned off by mwc-disable-next-line comments (<!-- --> in HTML, // or
+// /* */ in source files), keyed by the 1-based line they cover; an empty set
+// turns off every rule on that line
+function disabledRules(text) {
+    const disabled = new Map();
+    const regex = /mwc-disable-next-line\b(.*?)(?:-->|\*\/|$)/gm;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        const line = positionAt(text, match.index + match[0].length).line + 1;
+        disabled.set(line, new Set(match[1].split(/[\s,]+/).filter(Boolean)));
+    }
+    return disabled;
+}
+
+function isDisabled(disabled, ruleId, line) {
+    const rules = disabled.get(line);
+    return Boolean(rules) && (rules.size === 0 || rules.has(ruleId));
+}
+
+const MAX_SNIPPET_LENGTH = 200;
+
+// Anchor of an element's API heading, e.g. "mdslider-md-slider"
+function apiAnchor(entry) {
+    return entry.className ? slugify(`${entry.className} ${entry.tagName}`) : 'api';
+}
+
+// Location of what a finding points at: its own span, or the attribute or
+// start tag of its node
+function findingSpan({ node, attr, span }) {
+    if (span) return span;
+    const location = node && node.sourceCodeLocation;
+    return location && ((attr && location.attrs && location.attrs[attr]) || location.startTag || location);
+}
+
+// Turn a finding into a diagnostic with the 1-based line/column range (end
+// column exclusive) and source text of its attribute or start tag
+function createDiagnostic(html, finding) {
+    const { ruleId, severity, message, doc = null } = finding;
+    const span = findingSpan(finding);
+    let snippet = span ? html.slice(span.startOffset, span.endOffset) : null;
+    if (snippet && snippet.length > MAX_SNIPPET_LENGTH) {
+        snippet = `${snippet.slice(0, MAX_SNIPPET_LENGTH)}…`;
+    }
+    return {
+        ruleId,
+        severity,
+        message,
+        range: span
+            ? { start: { line: span.startLine, column: span.startCol }, end: { line: span.endLine, column: span.endCol } }
+            : null,
+        snippet,
+        doc
+    };
+}
+
+// Form-associated members reflect to attributes the way native form
+// controls do, though the generated API tables leave their Attribute empty
+const FORM_ATTRIBUTES = ['name', 'form', 'disabled'];
+
+// Run every rule over the markup; findings keep their parsed node so they
+// can be located and fixed. Attributes overlapping a bound range (offset
+// pairs of template expressions) have no static value to check, and in JSX
+// props set properties where the element has them (React 19). The config
+// sets severities and allowlists; disable comments apply unless the caller
+// maps findings back to a source file and applies them there.
+async function collectFindings(html, { bound = [], jsx = false, config, disableComments = true } = {}) {
+    const settings = resolveValidatorConfig(config);
+    const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+    const isBound = (elem, attr) => {
+        const span = elem.sourceCodeLocation.attrs[attr];
+        return bound.some(([start, end]) => start < span.endOffset && span.startOffset < end);
+    };
+    const registry = await getElementRegistry();
+    const findings = [];
+    const selectors = positionedSelectors($);
+
+    const elements = $('*').toArray();
+    for (const elem of elements) {
+        const tag = $(elem).prop('tagName').toLowerCase();
+        if (!tag.startsWith('md-')) continue;
+
+        const entry = registry.get(tag);
+        if (!entry) {
+            // Without any documented elements there is nothing to check against
+            if (registry.size > 0 && !matchesPattern(tag, settings.allowElements)) {
+                findings.push({ ruleId: 'unknown-element', severity: 'error', message: `Unknown component: ${tag}`, node: elem, tag });
+            }
+            continue;
+        }
+
+        const apiDoc = `${entry.doc}#${apiAnchor(entry)}`;
+        const attrs = entry.api ? $(elem).attr() : {};
+        for (const [attr, value] of Object.entries(attrs)) {
+            // Lit bindings: .prop sets a property, ?attr toggles a boolean
+            // attribute and @event adds a listener
+            const prefix = /^[.?@]./.test(attr) ? attr[0] : null;
+            const name = prefix ? attr.slice(1) : attr;
+            // Listeners: Lit @event bindings and on* handlers (onclose, or
+            // onClose in JSX)
+            if (prefix === '@' || (!prefix && /^on[a-z]/.test(name) && !entry.api.properties.some(candidate => candidate.attribute === name))) {
+                const finding = checkEvent(entry, prefix === '@' ? name : name.slice(2));
+                if (finding) findings.push({ ...finding, doc: apiDoc, node: elem, attr });
+                continue;
+            }
+            // JSX props may name a property (React 19 sets them as such), so
+            // supportingText matches the supportingText property
+            const property = prefix === '.'
+                ? entry.api.properties.find(candidate => candidate.name.toLowerCase() === name)
+                : entry.api.properties.find(candidate => candidate.attribute === name ||
+                    (!candidate.attribute && FORM_ATTRIBUTES.includes(name) && candidate.name === name) ||
+                    (jsx && candidate.name.toLowerCase() === name));
+            if (!property && matchesPattern(name, settings.allowAttributes)) continue;
+            const propertyOnly = !property && prefix !== '.' &&
+                entry.api.properties.find(candidate => !candidate.attribute && candidate.name.toLowerCase() === name);
+            if (propertyOnly) {
+                findings.push({
+                    ruleId: 'property-only',
+                    severity: 'warning',
+                    message: `${propertyOnly.name} is a property of ${tag} with no attribute, so the ${name} attribute does nothing; set it with a Lit .${propertyOnly.name}=\${...} binding or from JavaScript (element.${propertyOnly.name} = ...)`,
+                    doc: apiDoc,
+                    node: elem,
+                    attr
+                });
+                continue;
+            }
+            if (!property) {
+                // Parsing lowercases names; quote properties and JSX props as
+                // written
+                const written = html.substr(elem.sourceCodeLocation.attrs[attr].startOffset + (prefix ? 1 : 0), name.length);
+                const message = prefix === '.'
+                    ? `Unknown property '${written}' for ${tag}`
+                    : `Unknown attribute '${jsx ? written : name}' for ${tag}`;
+                findings.push({ ruleId: 'unknown-attribute', severity: 'warning', message, doc: apiDoc, node: elem, attr, entry });
+                continue;
+            }
+            if (prefix || isBound(elem, attr)) continue;
+            const finding = checkAttributeValue(tag, property, value);
+            if (finding) {
+                findings.push({ ...finding, doc: apiDoc, node: elem, attr });
+            }
+        }
+
+        findings.push(...checkSlots($, elem, entry));
+        findings.push(...checkStructure($, elem, entry, selectors));
+        findings.push(...checkAccessibility($, elem, tag));
+    }
+
+    findings.push(...checkScriptListeners($, html, registry));
+    findings.push(...checkTokens($, html, await getTokenCatalog(), registry));
+    findings.push(...checkImports($, html, registry));
+    findings.push(...checkLegacy($, html, registry, await getRoadmap()));
+
+    const disabled = disableComments ? disabledRules(html) : new Map();
+    const configured = [];
+    for (const finding of findings) {
+        const severity = ruleSeverity(settings.rules, finding.ruleId, finding.severity);
+        const span = findingSpan(finding);
+        if (severity === 'off' || (span && isDisabled(disabled, finding.ruleId, span.startLine))) continue;
+        configured.push({ ...finding, severity });
+    }
+
+    return { $, registry, findings: configured };
+}
+
+// 1-based line and column of a string offset
+function positionAt(text, offset) {
+    const before = text.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+// "arrow_back" -> "Arrow back"
+function iconLabel($, elem) {
+    const icon = $(elem).children('md-icon').not('[slot="selected"]').first();
+    const name = icon.text().trim();
+    if (!/^[a-z0-9_]+$/.test(name)) return null;
+    const words = name.replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Text changes ({ start, end, text } offsets) that fix a finding, or null
+// when there is no single safe fix
+function fixFinding(html, $, finding, registry) {
+    const location = finding.node && finding.node.sourceCodeLocation;
+    if (!location) return null;
+    const { startTag, endTag } = location;
+
+    switch (finding.ruleId) {
+        case 'unknown-element': {
+            let best = null;
+            let bestDistance = 3;
+            let tie = false;
+            for (const tag of registry.keys()) {
+                const distance = editDistance(finding.tag, tag, 2);
+                if (distance < bestDistance) {
+                    best = tag;
+                    bestDistance = distance;
+                    tie = false;
+                } else if (distance === bestDistance) {
+                    tie = true;
+                }
+            }
+            if (!best || tie) return null;
+            const changes = [{ start: startTag.startOffset + 1, end: startTag.startOffset + 1 + finding.tag.length, text: best }];
+            if (endTag) {
+                changes.push({ start: endTag.startOffset + 2, end: endTag.startOffset + 2 + finding.tag.length, text: best });
+            }
+            return { description: `Rename <${finding.tag}> to <${best}>`, changes };
+        }
+        case 'boolean-attribute': {
+            const span = location.attrs[finding.attr];
+            if (finding.severity === 'warning') {
+                return { description: `Drop the value of ${finding.attr}`, changes: [{ start: span.startOffset, end: span.endOffset, text: finding.attr }] };
+            }
+            let start = span.startOffset;
+            while (start > 0 && /\s/.test(html[start - 1])) start--;
+            return { description: `Remove ${finding.attr} so it is off`, changes: [{ start, end: span.endOffset, text: '' }] };
+        }
+        case 'a11y-icon-button-label':
+        case 'a11y-fab-label': {
+            const label = iconLabel($, finding.node);
+            if (!label) return null;
+            const offset = startTag.startOffset + 1 + finding.node.name.length;
+            return { description: `Label ${finding.node.name} "${label}" after its icon`, changes: [{ start: offset, end: offset, text: ` aria-label="${label}"` }] };
+        }
+        case 'parent-element': {
+            const rule = PARENT_RULES[finding.node.name];
+            if (!rule.wrapper || $(finding.node).parents(rule.parents.join(', ')).length > 0) return null;
+            // Wrap the run of consecutive orphans this element starts
+            const previous = $(finding.node).prev();
+            if (previous.length > 0 && previous.prop('tagName').toLowerCase() === finding.node.name) return null;
+            let last = finding.node;
+            let next = $(last).next();
+            while (next.length > 0 && next.prop('tagName').toLowerCase() === finding.node.name && next[0].sourceCodeLocation) {
+                last = next[0];
+                next = $(last).next();
+            }
+            // Without an end tag the element runs on to its parent's end, so
+            // a closing wrapper tag cannot be placed after it
+            if (!last.sourceCodeLocation.endTag) return null;
+            const end = last.sourceCodeLocation.endOffset;
+            return {
+                description: `Wrap <${finding.node.name}> in <${rule.wrapper}>`,
+                changes: [
+                    { start: location.startOffset, end: location.startOffset, text: `<${rule.wrapper}>` },
+                    { start: end, end, text: `</${rule.wrapper}>` }
+                ]
+            };
+        }
+        case 'unknown-attribute': {
+            // Parsing lowercases names, so supportingText arrives as supportingtext
+            const property = finding.entry.api.properties.find(candidate =>
+                candidate.attribute && candidate.name.toLowerCase() === finding.attr && candidate.attribute !== finding.attr);
+            if (!property) return null;
+            const span = location.attrs[finding.attr];
+            return {
+                description: `Use the ${property.attribute} attribute for the ${property.name} property`,
+                changes: [{ start: span.startOffset, end: span.startOffset + finding.attr.length, text: property.attribute }]
+            };
+        }
+        case 'unknown-token': {
+            if (finding.suggestions.length !== 1) return null;
+            return {
+                description: `Rename ${finding.token} to ${finding.suggestions[0]}`,
+                changes: [{ start: finding.span.startOffset, end: finding.span.endOffset, text: finding.suggestions[0] }]
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+// Apply the safe fixes that do not overlap each other and list the edits
+async function fixWebsite(html, { config } = {}) {
+    const { $, registry, findings } = await collectFindings(html, { config });
+    const accepted = [];
+    const edits = [];
+    const overlaps = (a, b) => a.start === b.start || (a.start < b.end && b.start < a.end);
+
+    for (const finding of findings) {
+        const fix = fixFinding(html, $, finding, registry);
+        if (!fix) continue;
+        // One edit per fix, from its first change to its last (e.g. both
+        // tags of a renamed element)
+        const changes = [...fix.changes].sort((a, b) => a.start - b.start);
+        const start = changes[0].start;
+        const end = changes[changes.length - 1].end;
+        let text = '';
+        let offset = start;
+        for (const change of changes) {
+            text += html.slice(offset, change.start) + change.text;
+            offset = change.end;
+        }
+        const edit = { start, end, text: text + html.slice(offset, end) };
+        if (accepted.some(other => overlaps(edit, other))) continue;
+        accepted.push(edit);
+        edits.push({
+            ruleId: finding.ruleId,
+            description: fix.description,
+            range: { start: positionAt(html, start), end: positionAt(html, end) },
+            oldText: html.slice(start, end),
+            newText: edit.text
+        });
+    }
+
+    let fixed = html;
+    for (const change of [...accepted].sort((a, b) => b.start - a.start)) {
+        fixed = fixed.slice(0, change.start) + change.text + fixed.slice(change.end);
+    }
+    return { html: fixed, edits };
+}
+
+// Validate markup; with fix set, safe fixes are applied first and the
+// remaining findings refer to the fixed HTML
+async function validateWebsite(html, { fix = false, config } = {}) {
+    const fixed = fix ? await fixWebsite(html, { config }) : null;
+    const source = fixed ? fixed.html : html;
+    const { findings } = await collectFindings(source, { config });
+    const diagnostics = findings.map(finding => createDiagnostic(source, finding));
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').map(diagnostic => diagnostic.message);
+    const result = {
+        valid: errors.length === 0,
+        errors,
+        warnings: diagnostics.filter(diagnostic => diagnostic.severity === 'warning').map(diagnostic => diagnostic.message),
+        diagnostics
+    };
+    if (fixed) {
+        result.fixedHtml = fixed.html;
+        result.edits = fixed.edits;
+    }
+    return result;
+}
+
+// Migration plan for the legacy mwc-* elements and mdc-* classes in markup:
+// each replacement with its translated attributes and notes, the imports
+// the replacements and their new md-icon children need, and the HTML with
+// the mwc-* elements rewritten. MDC class markup is only reported, since its
+// nested parts have no one-to-one replacement.
+async function suggestMigration(html) {
+    const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+    const registry = await getElementRegistry();
+    const migrations = legacyMigrations($, html, registry, await getRoadmap());
+
+    const accepted = [];
+    const edits = [];
+    for (const migration of migrations) {
+        for (const change of migration.changes) {
+            if (accepted.some(other => change.start < other.end && other.start < change.end)) continue;
+            accepted.push(change);
+            edits.push({
+                description: `Replace <${migration.legacy}> with <${migration.replacement}>`,
+                range: { start: positionAt(html, change.start), end: positionAt(html, change.end) },
+                oldText: html.slice(change.start, change.end),
+                newText: change.text
+            });
+        }
+    }
+    let migrated = html;
+    for (const change of [...accepted].sort((a, b) => b.start - a.start)) {
+        migrated = migrated.slice(0, change.start) + change.text + migrated.slice(change.end);
+    }
+
+    // The replacements and the children created from attributes (md-icon)
+    const imports = new Set();
+    for (const migration of migrations) {
+        for (const tag of [migration.replacement, ...migration.childTags]) {
+            const entry = tag && registry.get(tag);
+            if (entry && entry.importPath) imports.add(entry.importPath);
+        }
+    }
+    return {
+        migrations: migrations.map(migration => {
+            const { legacy, kind, replacement, variant, roadmap, attributes, notes, doc, node } = migration;
+            const { range, snippet } = createDiagnostic(html, { node, ...(kind === 'class' ? { attr: 'class' } : {}) });
+            return { legacy, kind, replacement, variant, roadmap, attributes, notes, doc, message: legacyMessage(migration), range, snippet };
+        }),
+        imports: [...imports].sort(),
+        migratedHtml: migrated,
+        edits
+    };
+}
+
+const SOURCE_LANGUAGES = ['js', 'ts', 'jsx', 'tsx'];
+// Characters after which `<` starts JSX rather than a comparison, and `/` a
+// regular expression rather than a division
+const EXPRESSION_START_CHARS = '(,=:[!&|?{};>';
+// Props React keeps for itself instead of setting them on the element
+const JSX_RESERVED_PROPS = ['key', 'ref', 'children', 'dangerouslySetInnerHTML', 'suppressHydrationWarning'];
+const JSX_ATTRIBUTE_NAMES = { className: 'class', htmlFor: 'for' };
+
+// Offset just past a string literal starting at `start`
+function skipString(source, start) {
+    const quote = source[start];
+    let i = start + 1;
+    while (i < source.length && source[i] !== quote && source[i] !== '\n') {
+        i += source[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+}
+
+// Walk JavaScript from `start`, collecting the Lit html`` templates and JSX
+// elements found on the way into `regions`. With `close` set it stops at the
+// `}` ending a template or JSX expression and returns its offset.
+function scanCode(source, start, regions, { jsx, close = false }) {
+    let depth = 0;
+    let previous = '';
+    let word = '';
+    let i = start;
+    while (i < source.length) {
+        const char = source[i];
+        const next = source[i + 1];
+        if (char === '/' && next === '/') {
+            const end = source.indexOf('\n', i);
+            i = end === -1 ? source.length : end;
+        } else if (char === '/' && next === '*') {
+            const end = source.indexOf('*/', i + 2);
+            i = end === -1 ? source.length : end + 2;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (/[\w$]/.test(char)) {
+            word = i > start && /[\w$]/.test(source[i - 1]) ? word + char : char;
+            previous = char;
+            i++;
+        } else if (char === '"' || char === "'") {
+            i = skipString(source, i);
+            previous = char;
+            word = '';
+        } else if (char === '`') {
+            const template = scanTemplate(source, i, { jsx });
+            if (word === 'html') {
+                regions.push(template);
+            } else {
+                // A plain template literal may still hold markup in its expressions
+                template.pieces.forEach(piece => regions.push(...piece.regions));
+            }
+            i = template.end + 1;
+            previous = '`';
+            word = '';
+        } else if (char === '/' && (EXPRESSION_START_CHARS.includes(previous) || previous === '' || word === 'return')) {
+            // Regular expression literal
+            let inClass = false;
+            i++;
+            while (i < source.length && source[i] !== '\n' && (source[i] !== '/' || inClass)) {
+                if (source[i] === '[') inClass = true;
+                if (source[i] === ']') inClass = false;
+                i += source[i] === '\\' ? 2 : 1;
+            }
+            i++;
+            previous = '/';
+            word = '';
+        } else if (jsx && char === '<' && /[A-Za-z>]/.test(next || '') &&
+            (EXPRESSION_START_CHARS.includes(previous) || previous === '' || word === 'return')) {
+            const element = scanJsx(source, i, { jsx });
+            regions.push(element);
+            i = element.end;
+            previous = ')';
+            word = '';
+        } else {
+            if (char === '{') depth++;
+            if (char === '}') {
+                if (close && depth === 0) return i;
+                depth--;
+            }
+            previous = char;
+            word = '';
+            i++;
+        }
+    }
+    return source.length;
+}
+
+// A template literal starting at the backtick `start`; its ${} expressions
+// become pieces carrying any markup nested inside them
+function scanTemplate(source, start, options) {
+    const pieces = [];
+    let i = start + 1;
+    while (i < source.length && source[i] !== '`') {
+        if (source[i] === '\\') {
+            i += 2;
+        } else if (source[i] === '$' && source[i + 1] === '{') {
+            const regions = [];
+            const end = scanCode(source, i + 2, regions, { ...options, close: true });
+            pieces.push({ start: i, end: end + 1, regions });
+            i = end + 1;
+        } else {
+            i++;
+        }
+    }
+    return { kind: 'lit', start: start + 1, end: Math.min(i, source.length), pieces };
+}
+
+// A JSX element starting at `start`, with the rewrites that let it parse as
+// HTML: self-closing tags get an end tag, className and htmlFor become class
+// and for, fragments, spreads and React-only props are dropped and {}
+// expressions become pieces
+function scanJsx(source, start, options) {
+    const pieces = [];
+    let depth = 0;
+    let i = start;
+    const expression = (from, piece) => {
+        const regions = [];
+        const end = scanCode(source, from + 1, regions, { ...options, close: true });
+        pieces.push({ start: from, end: end + 1, regions, ...piece });
+        return end + 1;
+    };
+
+    while (i < source.length) {
+        if (source[i] === '{') {
+            i = expression(i);
+            continue;
+        }
+        if (source[i] !== '<') {
+            i++;
+            continue;
+        }
+        if (source[i + 1] === '/') {
+            const end = source.indexOf('>', i);
+            if (end === -1) return { kind: 'jsx', start, end: source.length, pieces };
+            if (source.slice(i + 2, end).trim() === '') pieces.push({ start: i, end: end + 1, text: '' });
+            i = end + 1;
+            depth--;
+            if (depth === 0) break;
+            continue;
+        }
+
+        const name = source.slice(i + 1).match(/^[\w.:-]*/)[0];
+        if (!name) pieces.push({ start: i, end: i + 2, text: '' });
+        let j = i + 1 + name.length;
+        let selfClosing = false;
+        while (j < source.length) {
+            const char = source[j];
+            if (char === '>') {
+                j++;
+                break;
+            }
+            if (char === '/' && source[j + 1] === '>') {
+                pieces.push({ start: j, end: j + 2, text: `></${name}>` });
+                selfClosing = true;
+                j += 2;
+                break;
+            }
+            if (char === '{') {
+                // Spread props
+                const end = scanCode(source, j + 1, [], { ...options, close: true });
+                pieces.push({ start: j, end: end + 1, text: '' });
+                j = end + 1;
+                continue;
+            }
+            const attr = source.slice(j).match(/^[\w:.-]+/);
+            if (!attr) {
+                j++;
+                continue;
+            }
+            const attrStart = j;
+            const attrPieces = [];
+            j += attr[0].length;
+            const equals = source.slice(j).match(/^\s*=\s*/);
+            if (equals) {
+                j += equals[0].length;
+                if (source[j] === '{') {
+                    const before = pieces.length;
+                    j = expression(j, { value: true });
+                    attrPieces.push(...pieces.splice(before));
+                } else if (source[j] === '"' || source[j] === "'") {
+                    j = skipString(source, j);
+                }
+            }
+            if (JSX_RESERVED_PROPS.includes(attr[0])) {
+                pieces.push({ start: attrStart, end: j, text: '' });
+                continue;
+            }
+            if (JSX_ATTRIBUTE_NAMES[attr[0]]) {
+                pieces.push({ start: attrStart, end: attrStart + attr[0].length, text: JSX_ATTRIBUTE_NAMES[attr[0]] });
+            }
+            pieces.push(...attrPieces);
+        }
+        i = j;
+        if (!selfClosing) depth++;
+        if (depth === 0) break;
+    }
+    return { kind: 'jsx', start, end: i, pieces };
+}
+
+// Where the end of rendered markup sits: inside an attribute value, elsewhere
+// in a tag, or in text
+function markupContext(html) {
+    const tagStart = html.lastIndexOf('<');
+    if (tagStart === -1 || tagStart < html.lastIndexOf('>')) return 'text';
+    let quote = null;
+    for (const char of html.slice(tagStart)) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        }
     }
-    const files = await scanDocsDir();
-    const results = [];
-    const regex = new RegExp(escapeRegex(keyword), 'gi');
+    return quote || /=\s*$/.test(html) ? 'value' : 'tag';
+}
 
-    for (const fullPath of files) {
-        try {
-            const content = await withTimeout(fs.readFile(fullPath, 'utf-8'), 5000);
-            const lines = content.split('\n');
-            const matches = [];
-            for (let i = 0; i < lines.length; i++) {
-                if (regex.test(lines[i])) {
-                    matches.push({
-                        line: i + 1,
-                        text: lines[i].trim(),
-                    });
+// Render a template or JSX region as HTML. `map` holds the source offset of
+// every rendered character; expressions in attribute values are filled in
+// and listed in `bound`, and markup inside them is returned as `detached`
+// regions to render on their own.
+function renderMarkup(source, region) {
+    let html = '';
+    const map = [];
+    const bound = [];
+    const detached = [];
+    const emit = (text, from, to = from) => {
+        html += text;
+        for (let i = 0; i < text.length; i++) map.push(to > from ? from + i : from);
+    };
+    const render = ({ start, end, pieces }) => {
+        let position = start;
+        for (const piece of pieces) {
+            emit(source.slice(position, piece.start), position, piece.start);
+            if (piece.text !== undefined) {
+                emit(piece.text, piece.start);
+            } else if (piece.value || markupContext(html) === 'value') {
+                bound.push([html.length, html.length + piece.end - piece.start]);
+                emit('x'.repeat(piece.end - piece.start), piece.start, piece.end);
+                detached.push(...piece.regions);
+            } else {
+                // Markup returned from a text expression renders in place
+                let at = piece.start;
+                for (const nested of piece.regions) {
+                    emit(' '.repeat(nested.start - at), at, nested.start);
+                    render(nested);
+                    at = nested.end;
                 }
+                emit(' '.repeat(piece.end - at), at, piece.end);
             }
-            if (matches.length > 0) {
-                const relativePath = path.relative(docsDir, fullPath);
-                results.push({
-                    file: relativePath,
-                    matches,
-                });
-            }
-        } catch (error) {
-            logger.error(`Error reading file ${fullPath}:`, error);
+            position = piece.end;
         }
-    }
-    return results;
+        emit(source.slice(position, end), position, end);
+    };
+    render(region);
+    return { html, map, bound, detached, jsx: region.kind === 'jsx' };
 }
 
-// New helper functions
-async function getComponentDoc(componentName) {
-    const filePath = path.join(docsDir, 'components', `${componentName}.md`);
-    try {
-        const content = await withTimeout(fs.readFile(filePath, 'utf-8'), 5000);
-        return content;
-    } catch (error) {
-        logger.error(`Error reading component doc ${componentName}:`, error);
-        return null;
+// Lit templates and JSX elements of a source file rendered as HTML, with
+// markup bound into attribute values rendered separately
+function extractMarkup(source, { jsx = true } = {}) {
+    const queue = [];
+    scanCode(source, 0, queue, { jsx });
+    const templates = [];
+    while (queue.length > 0) {
+        const template = renderMarkup(source, queue.shift());
+        templates.push(template);
+        queue.push(...template.detached);
     }
+    return templates;
 }
 
-async function getThemingDocs() {
-    const themingDir = path.join(__dirname, '..', 'ui-docs', 'theming');
-    const files = ['README.md', 'color.md', 'shape.md', 'typography.md'];
-    let content = '';
-    for (const file of files) {
-        try {
-            const fileContent = await withTimeout(fs.readFile(path.join(themingDir, file), 'utf-8'), 5000);
-            content += `## ${file}\n\n${fileContent}\n\n`;
-        } catch (error) {
-            logger.error(`Error reading theming doc ${file}:`, error);
+// Validate the Lit templates and JSX of a JS/TS source file; ranges point
+// into the original source
+async function validateSource(source, { language = 'js', config } = {}) {
+    const templates = extractMarkup(source, { jsx: language !== 'ts' });
+    const disabled = disabledRules(source);
+    const located = [];
+    for (const template of templates) {
+        const { findings } = await collectFindings(template.html, { bound: template.bound, jsx: template.jsx, config, disableComments: false });
+        for (const finding of findings) {
+            const span = findingSpan(finding);
+            if (!span) {
+                located.push({ offset: Infinity, diagnostic: createDiagnostic(source, { ...finding, node: null }) });
+                continue;
+            }
+            const start = template.map[span.startOffset];
+            const end = span.endOffset > span.startOffset ? template.map[span.endOffset - 1] + 1 : start;
+            const sourceSpan = spanAt(source, start, end);
+            if (isDisabled(disabled, finding.ruleId, sourceSpan.startLine)) continue;
+            located.push({ offset: start, diagnostic: createDiagnostic(source, { ...finding, span: sourceSpan }) });
         }
     }
-    return content;
+    const diagnostics = located.sort((a, b) => a.offset - b.offset).map(({ diagnostic }) => diagnostic);
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').map(diagnostic => diagnostic.message);
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings: diagnostics.filter(diagnostic => diagnostic.severity === 'warning').map(diagnostic => diagnostic.message),
+        diagnostics,
+        templates: templates.length
+    };
 }
 
-async function getInstallationDocs() {
-    const filePath = path.join(docsDir, 'quick-start.md');
-    try {
-        const content = await withTimeout(fs.readFile(filePath, 'utf-8'), 5000);
-        return content;
-    } catch (error) {
-        logger.error('Error reading quick-start.md:', error);
-        return null;
+const VALIDATOR_CONFIG_FILE = '.material-web-mcp.json';
+const DEFAULT_PROJECT_INCLUDE = ['**/*.{html,htm,js,mjs,cjs,jsx,ts,mts,cts,tsx}'];
+const DEFAULT_PROJECT_EXCLUDE = ['**/node_modules/**', '**/.git/**', '**/dist/**', '**/build/**', '**/coverage/**'];
+const MAX_PROJECT_FILES = 1000;
+const MAX_PROJECT_FILE_SIZE = 1024 * 1024;
+const PROJECT_TIMEOUT_MS = 120000;
+// How each file extension is validated
+const PROJECT_FILE_TYPES = {
+    '.html': 'html', '.htm': 'html',
+    '.js': 'js', '.mjs': 'js', '.cjs': 'js', '.jsx': 'jsx',
+    '.ts': 'ts', '.mts': 'ts', '.cts': 'ts', '.tsx': 'tsx'
+};
+
+// Glob to regex over /-separated relative paths: ** spans directories, *
+// and ? stay within one, {a,b} picks an alternative. A glob without a slash
+// matches at any depth.
+function globToRegex(glob) {
+    const source = glob.includes('/') ? glob.replace(/^\.\//, '') : `**/${glob}`;
+    let pattern = '';
+    let braces = 0;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '*' && source[i + 1] === '*') {
+            const directories = source[i + 2] === '/';
+            pattern += directories ? '(?:.*/)?' : '.*';
+            i += directories ? 2 : 1;
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else if (char === '{') {
+            pattern += '(?:';
+            braces++;
+        } else if (char === '}' && braces > 0) {
+            pattern += ')';
+            braces--;
+        } else if (char === ',' && braces > 0) {
+            pattern += '|';
+        } else {
+            pattern += escapeRegex(char);
+        }
     }
+    return new RegExp(`^${pattern}$`);
 }
 
+// Files under root matching an include glob and no exclude glob, as sorted
+// relative paths; stops once more than `limit` are found
+async function findProjectFiles(root, { include, exclude, limit }) {
+    const includes = include.map(globToRegex);
+    const excludes = exclude.map(globToRegex);
+    const files = [];
+    async function walk(dir, relative) {
+        const entries = await withTimeout(fs.readdir(dir, { withFileTypes: true }), 5000);
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            if (files.length > limit) return;
+            const file = relative ? `${relative}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                if (!excludes.some(regex => regex.test(`${file}/`))) await walk(path.join(dir, entry.name), file);
+            } else if (entry.isFile() && includes.some(regex => regex.test(file)) && !excludes.some(regex => regex.test(file))) {
+                files.push(file);
+            }
+        }
+    }
+    await walk(root, '');
+    return files;
+}
 
-async function extractApi(componentName) {
-    const doc = await getComponentDoc(componentName);
-    if (!doc) return null;
-
-    const apiMatch = doc.match(/## API\n\n([\s\S]*?)(?=\n## |\n<!--|$)/);
-    if (!apiMatch) return null;
+// The rule configuration for a directory: its .material-web-mcp.json, if
+// any, under the config passed in
+async function projectValidatorConfig(directory, config) {
+    const defaultConfig = path.join(directory, VALIDATOR_CONFIG_FILE);
+    const hasDefaultConfig = await fs.access(defaultConfig).then(() => true, () => false);
+    return mergeValidatorConfigs(hasDefaultConfig ? await loadValidatorConfig(VALIDATOR_CONFIG_FILE, { root: directory }) : {}, config);
+}
 
-    const apiSection = apiMatch[1];
-    const properties = [];
-    const tableRegex = /\| Property \| Attribute \| Type \| Default \| Description \|\n\| --- \| --- \| --- \| --- \| --- \|\n((?:\|.*\|\n)*)/g;
-    let match;
-    while ((match = tableRegex.exec(apiSection)) !== null) {
-        const table = match[1];
-        const lines = table.split('\n').filter(l => l.trim());
-        for (const line of lines) {
-            const cells = line.split('|').map(c => c.trim());
-            if (cells.length > 2 && cells[2]) {
-                properties.push(cells[2]);
+// Files named by command-line style patterns, relative to cwd: globs are
+// expanded (node_modules and build output excluded), directories yield
+// every file validate_project would check and plain paths are kept as
+// given. At most MAX_PROJECT_FILES are returned.
+async function resolveFilePatterns(patterns, { cwd = process.cwd() } = {}) {
+    const files = new Set();
+    for (const pattern of patterns) {
+        const parts = pattern.split(/[\\/]/);
+        const globStart = parts.findIndex(part => /[*?{]/.test(part));
+        const base = globStart === -1 ? pattern : parts.slice(0, globStart).join('/');
+        // "./" anchors the glob to the base, as a shell would
+        let include = globStart === -1 ? null : [`./${parts.slice(globStart).join('/')}`];
+        if (!include) {
+            const stats = await fs.stat(path.resolve(cwd, base)).catch(() => null);
+            if (!stats || !stats.isDirectory()) {
+                files.add(path.relative(cwd, path.resolve(cwd, base)).split(path.sep).join('/'));
+                continue;
             }
+            include = DEFAULT_PROJECT_INCLUDE;
+        }
+        const directory = path.resolve(cwd, base || '.');
+        const found = await findProjectFiles(directory, { include, exclude: DEFAULT_PROJECT_EXCLUDE, limit: MAX_PROJECT_FILES });
+        for (const file of found) {
+            files.add(path.relative(cwd, path.join(directory, file)).split(path.sep).join('/'));
         }
     }
-    return { properties };
+    return [...files].sort().slice(0, MAX_PROJECT_FILES);
 }
 
-async function validateWebsite(html) {
-    const $ = cheerio.load(html);
-    const components = await extractComponentNames();
-    const componentRegex = new RegExp(components.map(escapeRegex).join('|'), 'i');
-    const errors = [];
-    const warnings = [];
+// Validate files (paths relative to root) and aggregate the diagnostics by
+// file and by rule
+async function validateFiles(root, paths, { config } = {}) {
+    const directory = path.resolve(root);
+    const files = [];
+    const skipped = [];
+    const rules = new Map();
+    const totals = { files: 0, filesWithProblems: 0, errors: 0, warnings: 0 };
+    for (const file of paths) {
+        const type = PROJECT_FILE_TYPES[path.extname(file).toLowerCase()];
+        if (!type) {
+            skipped.push({ file, reason: 'Unsupported file type' });
+            continue;
+        }
+        const fullPath = path.join(directory, file);
+        let content;
+        try {
+            const { size } = await withTimeout(fs.stat(fullPath), 5000);
+            if (size > MAX_PROJECT_FILE_SIZE) {
+                skipped.push({ file, reason: `Larger than ${MAX_PROJECT_FILE_SIZE / 1024}kb` });
+                continue;
+            }
+            content = await withTimeout(fs.readFile(fullPath, 'utf-8'), 5000);
+        } catch (error) {
+            logger.error(`Error reading ${fullPath}:`, error);
+            skipped.push({ file, reason: error.message, unreadable: true });
+            continue;
+        }
 
-    const elements = $('*').toArray();
-    for (const elem of elements) {
-        const tag = $(elem).prop('tagName').toLowerCase();
-        if (tag.startsWith('md-')) {
-            const tagName = tag.replace('md-', '');
-            const isValidComponent = componentRegex.test(tagName);
-            if (!isValidComponent) {
-                errors.push(`Unknown component: ${tag}`);
-            } else {
-                // Find which component this tag corresponds to
-                const sortedComponents = [...components].sort((a, b) => b.length - a.length);
-                const matchingComponent = sortedComponents.find(comp => tagName.includes(comp));
-                if (matchingComponent) {
-                    let api = apiCache.get(matchingComponent);
-                    if (!api) {
-                        api = await extractApi(matchingComponent);
-                        if (api) apiCache.set(matchingComponent, api);
-                    }
-                    if (api) {
-                        const attrs = Object.keys($(elem).attr());
-                        for (const attr of attrs) {
-                            if (!api.properties.includes(attr)) {
-                                warnings.push(`Unknown attribute '${attr}' for ${tag}`);
-                            }
-                        }
-                    }
-                }
+        const result = type === 'html'
+            ? await validateWebsite(content, { config })
+            : await validateSource(content, { language: type, config });
+        totals.files++;
+        if (result.diagnostics.length === 0) continue;
+
+        totals.filesWithProblems++;
+        totals.errors += result.errors.length;
+        totals.warnings += result.warnings.length;
+        files.push({ file, errors: result.errors.length, warnings: result.warnings.length, diagnostics: result.diagnostics });
+        for (const diagnostic of result.diagnostics) {
+            if (!rules.has(diagnostic.ruleId)) {
+                rules.set(diagnostic.ruleId, { ruleId: diagnostic.ruleId, errors: 0, warnings: 0, files: [] });
             }
+            const rule = rules.get(diagnostic.ruleId);
+            rule[diagnostic.severity === 'error' ? 'errors' : 'warnings']++;
+            if (!rule.files.includes(file)) rule.files.push(file);
         }
     }
 
     return {
-        valid: errors.length === 0,
-        errors,
-        warnings
+        root: directory,
+        valid: totals.errors === 0,
+        totals,
+        files,
+        rules: [...rules.values()].sort((a, b) => (b.errors + b.warnings) - (a.errors + a.warnings) || a.ruleId.localeCompare(b.ruleId)),
+        skipped
+    };
+}
+
+// Validate every matching file under a directory and aggregate the
+// diagnostics by file and by rule. A .material-web-mcp.json in the directory
+// is used as the rule configuration, under any config passed in.
+async function validateProject(root, { include = DEFAULT_PROJECT_INCLUDE, exclude = DEFAULT_PROJECT_EXCLUDE, maxFiles = MAX_PROJECT_FILES, config } = {}) {
+    const directory = path.resolve(root);
+    let stats;
+    try {
+        stats = await withTimeout(fs.stat(directory), 5000);
+    } catch (error) {
+        throw new Error(`Cannot read project directory ${directory}: ${error.message}`);
+    }
+    if (!stats.isDirectory()) throw new Error(`Not a directory: ${directory}`);
+
+    const settings = await projectValidatorConfig(directory, config);
+    const limit = Math.min(maxFiles, MAX_PROJECT_FILES);
+    const found = await findProjectFiles(directory, { include, exclude, limit });
+    return {
+        ...(await validateFiles(directory, found.slice(0, limit), { config: settings })),
+        truncated: found.length > limit
     };
 }
 
@@ -366,6 +3506,43 @@ async function performHealthCheck() {
     };
 }
 
+// Shared output schema for one parsed API element
+const apiElementSchema = z.object({
+    className: z.string().nullable(),
+    tagName: z.string().nullable(),
+    properties: z.array(z.object({
+        name: z.string(),
+        attribute: z.string().nullable(),
+        type: z.string().nullable(),
+        default: z.string().nullable(),
+        description: z.string()
+    })),
+    methods: z.array(z.object({
+        name: z.string(),
+        parameters: z.array(z.string()),
+        returns: z.string().nullable(),
+        description: z.string()
+    })),
+    events: z.array(z.object({
+        name: z.string(),
+        type: z.string().nullable(),
+        bubbles: z.boolean(),
+        composed: z.boolean(),
+        description: z.string()
+    }))
+});
+
+const positionSchema = z.object({ line: z.number(), column: z.number() });
+
+const diagnosticSchema = z.object({
+    ruleId: z.string(),
+    severity: z.enum(['error', 'warning']),
+    message: z.string(),
+    range: z.object({ start: positionSchema, end: positionSchema }).nullable(),
+    snippet: z.string().nullable(),
+    doc: z.string().nullable()
+});
+
 // Register tools
 logger.info('Registering tools');
 logger.info('Registering list_components tool');
@@ -396,17 +3573,35 @@ server.registerTool(
     'search_docs',
     {
         title: 'Search Docs',
-        description: 'Searches Material Web documentation for a keyword and returns matching file paths with excerpts',
-        inputSchema: { keyword: z.string().min(1, "Keyword must be at least 1 character") },
-        outputSchema: { results: z.array(z.object({ file: z.string(), matches: z.array(z.object({ line: z.number(), text: z.string() })) })) }
+        description: 'Searches Material Web documentation and returns the best matching sections ranked by relevance, with the heading each hit sits under and an excerpt',
+        inputSchema: {
+            keyword: z.string().min(1, "Keyword must be at least 1 character"),
+            limit: z.number().int().min(1).max(50).optional(),
+            format: z.enum(DOC_FORMATS).optional()
+        },
+        outputSchema: {
+            results: z.array(z.object({
+                file: z.string(),
+                heading: z.string().nullable(),
+                anchor: z.string().nullable(),
+                path: z.array(z.string()),
+                line: z.number(),
+                score: z.number(),
+                text: z.string(),
+                terms: z.array(z.string()),
+                expansions: z.array(z.object({ term: z.string(), from: z.string(), kind: z.string() }))
+            }))
+        }
     },
-    async ({ keyword }) => {
+    async ({ keyword, limit, format }) => {
         logger.info('Tool search_docs called with keyword:', keyword);
-        const results = await searchContent(keyword);
+        const results = await searchDocs(keyword, { limit, format });
         logger.debug('Search results:', results);
         const output = { results };
         const text = results.map(result =>
-            `File: ${result.file}\n${result.matches.map(match => `  Line ${match.line}: ${match.text}`).join('\n')}`
+            `File: ${result.file}${result.anchor ? `#${result.anchor}` : ''} (score ${result.score})\n` +
+            `  ${result.path.join(' > ') || '(top)'}\n  Line ${result.line}: ${result.text}` +
+            result.expansions.map(expansion => `\n  Matched ${expansion.term} (${expansion.kind} of ${expansion.from})`).join('')
         ).join('\n\n');
         logger.debug('Returning search output:', text || 'No matches found');
         return {
@@ -451,13 +3646,16 @@ server.registerTool(
     {
         title: 'Get Component Documentation',
         description: 'Returns the full documentation for a specific Material Web component',
-        inputSchema: { component: z.string().min(1, "Component name must be at least 1 character") },
+        inputSchema: {
+            component: z.string().min(1, "Component name must be at least 1 character"),
+            format: z.enum(DOC_FORMATS).optional()
+        },
         outputSchema: { documentation: z.string() }
     },
-    async ({ component }) => {
+    async ({ component, format }) => {
         logger.info('Tool get_component_doc called with component:', component);
         const doc = await getComponentDoc(component);
-        const output = { documentation: doc || 'Component not found' };
+        const output = { documentation: normalizeDoc(doc, format) || 'Component not found' };
         return {
             content: [{ type: 'text', text: output.documentation }],
             structuredContent: output
@@ -466,19 +3664,371 @@ server.registerTool(
 );
 logger.info('get_component_doc tool registered');
 
+logger.info('Registering get_component_api tool');
+server.registerTool(
+    'get_component_api',
+    {
+        title: 'Get Component API',
+        description: 'Returns the parsed properties, methods and events of every element documented for a Material Web component',
+        inputSchema: {
+            component: z.string().min(1, "Component name must be at least 1 character"),
+            element: z.string().optional()
+        },
+        outputSchema: {
+            component: z.string(),
+            elements: z.array(apiElementSchema)
+        }
+    },
+    async ({ component, element }) => {
+        logger.info('Tool get_component_api called with component:', component);
+        const api = await extractComponentApi(component, element);
+        const output = api || { component, elements: [] };
+        const text = api ? JSON.stringify(output, null, 2) : 'Component API not found';
+        return {
+            content: [{ type: 'text', text }],
+            structuredContent: output
+        };
+    }
+);
+logger.info('get_component_api tool registered');
+
+logger.info('Registering list_elements tool');
+server.registerTool(
+    'list_elements',
+    {
+        title: 'List Elements',
+        description: 'Returns every documented md-* tag with its class name, owning doc, import path and named slots',
+        inputSchema: { component: z.string().optional() },
+        outputSchema: {
+            elements: z.array(z.object({
+                tagName: z.string(),
+                className: z.string().nullable(),
+                component: z.string(),
+                doc: z.string(),
+                importPath: z.string().nullable(),
+                slots: z.array(z.string())
+            }))
+        }
+    },
+    async ({ component }) => {
+        logger.info('Tool list_elements called');
+        const registry = await getElementRegistry();
+        const elements = [...registry.values()]
+            .filter(entry => !component || entry.component === component)
+            .map(({ tagName, className, component, doc, importPath, slots }) => ({ tagName, className, component, doc, importPath, slots }));
+        const output = { elements };
+        return {
+            content: [{ type: 'text', text: JSON.stringify(output, null, 2) }],
+            structuredContent: output
+        };
+    }
+);
+logger.info('list_elements tool registered');
+
+logger.info('Registering resolve_element tool');
+server.registerTool(
+    'resolve_element',
+    {
+        title: 'Resolve Element',
+        description: 'Resolves an md-* tag or class name to its owning doc, import path and API block',
+        inputSchema: { tag: z.string().min(1, "Tag must be at least 1 character") },
+        outputSchema: {
+            found: z.boolean(),
+            tagName: z.string().nullable(),
+            className: z.string().nullable(),
+            component: z.string().nullable(),
+            doc: z.string().nullable(),
+            importPath: z.string().nullable(),
+            slots: z.array(z.string()),
+            api: apiElementSchema.nullable()
+        }
+    },
+    async ({ tag }) => {
+        logger.info('Tool resolve_element called with tag:', tag);
+        const entry = await resolveElement(tag);
+        const output = entry
+            ? { found: true, ...entry }
+            : { found: false, tagName: null, className: null, component: null, doc: null, importPath: null, slots: [], api: null };
+        const text = entry ? JSON.stringify(output, null, 2) : `Element not found: ${tag}`;
+        return {
+            content: [{ type: 'text', text }],
+            structuredContent: output
+        };
+    }
+);
+logger.info('resolve_element tool registered');
+
+logger.info('Registering list_tokens tool');
+server.registerTool(
+    'list_tokens',
+    {
+        title: 'List Tokens',
+        description: 'Returns the design token catalog built from component and system token tables, filtered by component, category or prefix',
+        inputSchema: {
+            component: z.string().optional(),
+            category: z.enum(TOKEN_CATEGORIES).optional(),
+            prefix: z.string().optional()
+        },
+        outputSchema: {
+            tokens: z.array(z.object({
+                name: z.string(),
+                kind: z.string(),
+                category: z.string(),
+                component: z.string().nullable(),
+                doc: z.string(),
+                section: z.string().nullable(),
+                group: z.string().optional(),
+                default: z.string().nullable(),
+                references: z.string().nullable(),
+                source: z.string()
+            }))
+        }
+    },
+    async ({ component, category, prefix }) => {
+        logger.info('Tool list_tokens called');
+        const tokens = await listTokens({ component, category, prefix });
+        const output = { tokens };
+        const text = tokens.map(token =>
+            `${token.name}${token.default ? ` → ${token.default}` : ''} (${token.doc})`
+        ).join('\n');
+        return {
+            content: [{ type: 'text', text: text || 'No tokens found' }],
+            structuredContent: output
+        };
+    }
+);
+logger.info('list_tokens tool registered');
+
+logger.info('Registering resolve_token tool');
+server.registerTool(
+    'resolve_token',
+    {
+        title: 'Resolve Token',
+        description: 'Follows a design token through its documented defaults and optional CSS overrides, reporting every hop and the effective value',
+        inputSchema: {
+            token: z.string().min(1, "Token must be at least 1 character"),
+            overrides: z.string().optional()
+        },
+        outputSchema: {
+            token: z.string(),
+            found: z.boolean(),
+            value: z.string().nullable(),
+            resolved: z.boolean(),
+            chain: z.array(z.object({
+                token: z.string(),
+                value: z.string().nullable(),
+                source: z.string(),
+                doc: z.string().nullable()
+            })),
+            error: z.string().optional()
+        }
+    },
+    async ({ token, overrides }) => {
+        logger.info('Tool resolve_token called with token:', token);
+        const output = await resolveToken(token, overrides);
+        const hops = output.chain.map(hop =>
+            hop.value === null ? `${hop.token} (unset)` : `${hop.token} = ${hop.value} (${hop.source})`
+        );
+        let text = hops.join('\n');
+        if (output.error) {
+            text += `\n${output.error}`;
+        } else if (!output.found) {
+            text = `Unknown token: ${output.token}`;
+        } else if (!output.resolved) {
+            text += `\n${output.chain[output.chain.length - 1].token} has no documented value; it is set by the active theme`;
+        }
+        return {
+            content: [{ type: 'text', text }],
+            structuredContent: output
+        };
+    }
+);
+logger.info('resolve_token tool registered');
+
+logger.info('Registering estimate_bundle_size tool');
+server.registerTool(
+    'estimate_bundle_size',
+    {
+        title: 'Estimate Bundle Size',
+        description: 'Estimates the gzip and minified cost of a set of md-* tags, import paths or an HTML snippet using the size.md table, and compares it with all.js and common.js',
+        inputSchema: {
+            items: z.array(z.string()).optional(),
+            html: z.string().optional()
+        },
+        outputSchema: {
+            imports: z.array(z.object({
+                importPath: z.string(),
+                component: z.string().nullable(),
+                gzip: z.number().nullable(),
+                minified: z.number().nullable(),
+                cssPercent: z.number().nullable(),
+                elements: z.array(z.string())
+            })),
+            unresolved: z.array(z.string()),
+            total: z.object({ gzip: z.number(), minified: z.number() }),
+            bundles: z.object({
+                all: z.object({ importPath: z.string(), gzip: z.number().nullable(), minified: z.number().nullable(), covers: z.boolean() }),
+                common: z.object({ importPath: z.string(), gzip: z.number().nullable(), minified: z.number().nullable(), covers: z.boolean() })
+            }),
+            recommendation: z.string(),
+            note: z.string()
+        }
+    },
+    async ({ items, html }) => {
+        logger.info('Tool estimate_bundle_size called');
+        const output = await estimateBundleSize({ items, html });
+        const lines = output.imports.map(row => `${row.importPath}: ${row.gzip}kb gzip, ${row.minified}kb minified`);
+        lines.push(`Total: ${output.total.gzip}kb gzip, ${output.total.minified}kb minified`);
+        const { all, common } = output.bundles;
+        lines.push(`all.js: ${all.gzip}kb gzip; common.js: ${common.gzip}kb gzip${common.covers ? '' : ' (does not cover every import)'}`);
+        lines.push(`Recommendation: ${output.recommendation}`);
+        if (output.unresolved.length > 0) {
+            lines.push(`Unresolved: ${output.unresolved.join(', ')}`);
+        }
+        return {
+            content: [{ type: 'text', text: lines.join('\n') }],
+            structuredContent: output
+        };
+    }
+);
+logger.info('estimate_bundle_size tool registered');
+
+logger.info('Registering get_examples tool');
+server.registerTool(
+    'get_examples',
+    {
+        title: 'Get Examples',
+        description: 'Returns the fenced code examples of a component doc with their heading path, language and the md-* tags they use',
+        inputSchema: {
+            component: z.string().min(1, "Component name must be at least 1 character"),
+            section: z.string().optional(),
+            keyword: z.string().optional(),
+            language: z.string().optional()
+        },
+        outputSchema: {
+            component: z.string(),
+            examples: z.array(z.object({
+                headingPath: z.array(z.string()),
+                language: z.string().nullable(),
+                line: z.number(),
+                code: z.string(),
+                tags: z.array(z.string())
+            }))
+        }
+    },
+    async ({ component, section, keyword, language }) => {
+        logger.info('Tool get_examples called with component:', component);
+        const result = await getExamples(component, { section, keyword, language });
+        const output = result || { component, examples: [] };
+        let text = output.examples.map(example =>
+            `### ${example.headingPath.join(' > ')}\n\n\`\`\`${example.language || ''}\n${example.code}\n\`\`\``
+        ).join('\n\n');
+        if (!result) {
+            text = 'Component not found';
+        } else if (!text) {
+            text = 'No examples found';
+        }
+        return {
+            content: [{ type: 'text', text }],
+            structuredContent: output
+        };
+    }
+);
+logger.info('get_examples tool registered');
+
+logger.info('Registering get_doc_outline tool');
+server.registerTool(
+    'get_doc_outline',
+    {
+        title: 'Get Doc Outline',
+        description: 'Returns the heading tree of a doc (component, theming or top-level such as support or quick-start) with stable anchors for get_doc_section',
+        inputSchema: {
+            doc: z.string().min(1, "Doc name must be at least 1 character")
+        },
+        outputSchema: {
+            doc: z.string().nullable(),
+            headings: z.array(z.object({
+                level: z.number(),
+                title: z.string(),
+                anchor: z.string(),
+                parent: z.string().nullable(),
+                path: z.array(z.string()),
+                line: z.number()
+            }))
+        }
+    },
+    async ({ doc }) => {
+        logger.info('Tool get_doc_outline called with doc:', doc);
+        const result = await getDocOutline(doc);
+        const output = result || { doc: null, headings: [] };
+        const text = result
+            ? output.headings.map(h => `${'  '.repeat(h.level - 1)}- ${h.title} (#${h.anchor})`).join('\n')
+            : `Doc not found: ${doc}`;
+        return {
+            content: [{ type: 'text', text }],
+            structuredContent: output
+        };
+    }
+);
+logger.info('get_doc_outline tool registered');
+
+logger.info('Registering get_doc_section tool');
+server.registerTool(
+    'get_doc_section',
+    {
+        title: 'Get Doc Section',
+        description: 'Returns one heading and everything nested under it, selected by anchor (from get_doc_outline) or heading path such as "Validation > Constraint validation"',
+        inputSchema: {
+            doc: z.string().min(1, "Doc name must be at least 1 character"),
+            anchor: z.string().optional(),
+            path: z.string().optional(),
+            format: z.enum(DOC_FORMATS).optional()
+        },
+        outputSchema: {
+            doc: z.string().nullable(),
+            found: z.boolean(),
+            anchor: z.string().nullable(),
+            path: z.array(z.string()),
+            content: z.string()
+        }
+    },
+    async ({ doc, anchor, path: headingPath, format }) => {
+        logger.info('Tool get_doc_section called with doc:', doc);
+        const result = await getDocSection(doc, { anchor, headingPath, format });
+        const output = {
+            doc: result ? result.doc : null,
+            found: Boolean(result && result.found),
+            anchor: result && result.found ? result.anchor : null,
+            path: result && result.found ? result.path : [],
+            content: result && result.found ? result.content : ''
+        };
+        let text = output.content;
+        if (!result) {
+            text = `Doc not found: ${doc}`;
+        } else if (!output.found) {
+            text = `Section not found: ${anchor || headingPath || ''}`;
+        }
+        return {
+            content: [{ type: 'text', text }],
+            structuredContent: output
+        };
+    }
+);
+logger.info('get_doc_section tool registered');
+
 logger.info('Registering get_theming_docs tool');
 server.registerTool(
     'get_theming_docs',
     {
         title: 'Get Theming Documentation',
         description: 'Returns the theming documentation for Material Web',
-        inputSchema: {},
+        inputSchema: { format: z.enum(DOC_FORMATS).optional() },
         outputSchema: { documentation: z.string() }
     },
-    async () => {
+    async ({ format } = {}) => {
         logger.info('Tool get_theming_docs called');
         const doc = await getThemingDocs();
-        const output = { documentation: doc };
+        const output = { documentation: normalizeDoc(doc, format) };
         return {
             content: [{ type: 'text', text: output.documentation }],
             structuredContent: output
@@ -493,13 +4043,13 @@ server.registerTool(
     {
         title: 'Get Installation Documentation',
         description: 'Returns the installation and quick-start documentation for Material Web',
-        inputSchema: {},
+        inputSchema: { format: z.enum(DOC_FORMATS).optional() },
         outputSchema: { documentation: z.string() }
     },
-    async () => {
+    async ({ format } = {}) => {
         logger.info('Tool get_installation_docs called');
         const doc = await getInstallationDocs();
-        const output = { documentation: doc || 'Documentation not found' };
+        const output = { documentation: normalizeDoc(doc, format) || 'Documentation not found' };
         return {
             content: [{ type: 'text', text: output.documentation }],
             structuredContent: output
@@ -514,17 +4064,31 @@ server.registerTool(
     'validate_website',
     {
         title: 'Validate Website',
-        description: 'Validates HTML code for correct Material Web component usage',
-        inputSchema: { html: z.string().min(1, "HTML must be at least 1 character") },
+        description: 'Validates HTML code for correct Material Web component usage; with fix set, applies safe fixes and returns the fixed HTML with the edits made. Rule severities and allowlists come from config or a JSON configFile',
+        inputSchema: {
+            html: z.string().min(1, "HTML must be at least 1 character"),
+            fix: z.boolean().optional(),
+            config: validatorConfigSchema.optional(),
+            configFile: z.string().optional()
+        },
         outputSchema: {
             valid: z.boolean(),
             errors: z.array(z.string()),
-            warnings: z.array(z.string())
+            warnings: z.array(z.string()),
+            diagnostics: z.array(diagnosticSchema),
+            fixedHtml: z.string().optional(),
+            edits: z.array(z.object({
+                ruleId: z.string(),
+                description: z.string(),
+                range: z.object({ start: positionSchema, end: positionSchema }),
+                oldText: z.string(),
+                newText: z.string()
+            })).optional()
         }
     },
-    async ({ html }) => {
+    async ({ html, fix, config, configFile }) => {
         logger.info('Tool validate_website called');
-        const result = await validateWebsite(html);
+        const result = await validateWebsite(html, { fix, config: await validatorConfigFrom({ config, configFile }) });
         return {
             content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
             structuredContent: result
@@ -533,6 +4097,136 @@ server.registerTool(
 );
 logger.info('validate_website tool registered');
 
+logger.info('Registering validate_source tool');
+server.registerTool(
+    'validate_source',
+    {
+        title: 'Validate Source',
+        description: 'Validates Material Web usage in the Lit html`` templates and JSX of a JS/TS/JSX/TSX source file; .prop bindings are checked as properties, ?attr as boolean attributes and ranges point into the source',
+        inputSchema: {
+            source: z.string().min(1, "Source must be at least 1 character"),
+            language: z.enum(SOURCE_LANGUAGES).optional(),
+            config: validatorConfigSchema.optional(),
+            configFile: z.string().optional()
+        },
+        outputSchema: {
+            valid: z.boolean(),
+            errors: z.array(z.string()),
+            warnings: z.array(z.string()),
+            diagnostics: z.array(diagnosticSchema),
+            templates: z.number()
+        }
+    },
+    async ({ source, language, config, configFile }) => {
+        logger.info('Tool validate_source called with language:', language);
+        const result = await validateSource(source, { language, config: await validatorConfigFrom({ config, configFile }) });
+        return {
+            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+            structuredContent: result
+        };
+    }
+);
+logger.info('validate_source tool registered');
+
+logger.info('Registering validate_project tool');
+server.registerTool(
+    'validate_project',
+    {
+        title: 'Validate Project',
+        description: `Validates every HTML and JS/TS/JSX/TSX file under a local directory and groups the diagnostics by file and rule with totals (at most ${MAX_PROJECT_FILES} files; node_modules, .git, dist, build and coverage are excluded by default)`,
+        inputSchema: {
+            path: z.string().min(1, "Path must be at least 1 character"),
+            include: z.array(z.string()).optional(),
+            exclude: z.array(z.string()).optional(),
+            maxFiles: z.number().int().min(1).max(MAX_PROJECT_FILES).optional(),
+            config: validatorConfigSchema.optional(),
+            configFile: z.string().optional()
+        },
+        outputSchema: {
+            root: z.string(),
+            valid: z.boolean(),
+            totals: z.object({ files: z.number(), filesWithProblems: z.number(), errors: z.number(), warnings: z.number() }),
+            files: z.array(z.object({
+                file: z.string(),
+                errors: z.number(),
+                warnings: z.number(),
+                diagnostics: z.array(diagnosticSchema)
+            })),
+            rules: z.array(z.object({
+                ruleId: z.string(),
+                errors: z.number(),
+                warnings: z.number(),
+                files: z.array(z.string())
+            })),
+            skipped: z.array(z.object({ file: z.string(), reason: z.string(), unreadable: z.boolean().optional() })),
+            truncated: z.boolean()
+        }
+    },
+    async ({ path: root, include, exclude, maxFiles, config, configFile }) => {
+        logger.info('Tool validate_project called with path:', root);
+        const directory = path.resolve(projectRoot(), root);
+        const name = path.relative(projectRoot(), directory);
+        if (name.startsWith('..') || path.isAbsolute(name)) {
+            throw new Error(`Project directory ${root} is outside the project root`);
+        }
+        const result = await withTimeout(validateProject(directory, {
+            include,
+            exclude,
+            maxFiles,
+            config: await validatorConfigFrom({ config, configFile })
+        }), PROJECT_TIMEOUT_MS);
+        return {
+            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+            structuredContent: result
+        };
+    }
+);
+logger.info('validate_project tool registered');
+
+logger.info('Registering suggest_migration tool');
+server.registerTool(
+    'suggest_migration',
+    {
+        title: 'Suggest Migration',
+        description: 'Finds legacy MWC elements (mwc-*) and MDC classes (mdc-*) in HTML and suggests their md-* replacements with translated attributes, the imports they need and the HTML with the mwc-* elements rewritten; components with no equivalent yet are checked against the roadmap',
+        inputSchema: {
+            html: z.string().min(1, "HTML must be at least 1 character")
+        },
+        outputSchema: {
+            migrations: z.array(z.object({
+                legacy: z.string(),
+                kind: z.enum(['element', 'class']),
+                replacement: z.string().nullable(),
+                variant: z.string().nullable(),
+                roadmap: z.string().nullable(),
+                attributes: z.array(z.object({ from: z.string(), to: z.string().nullable() })),
+                notes: z.array(z.string()),
+                doc: z.string().nullable(),
+                message: z.string(),
+                range: z.object({ start: positionSchema, end: positionSchema }),
+                snippet: z.string().nullable()
+            })),
+            imports: z.array(z.string()),
+            migratedHtml: z.string(),
+            edits: z.array(z.object({
+                description: z.string(),
+                range: z.object({ start: positionSchema, end: positionSchema }),
+                oldText: z.string(),
+                newText: z.string()
+            }))
+        }
+    },
+    async ({ html }) => {
+        logger.info('Tool suggest_migration called with HTML length:', html.length);
+        const result = await suggestMigration(html);
+        return {
+            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+            structuredContent: result
+        };
+    }
+);
+logger.info('suggest_migration tool registered');
+
 logger.info('Tools registered');
 
 // Export functions for testing
@@ -540,8 +4234,14 @@ export {
     registerDocResources,
     loadDocStructure,
     extractComponentNames,
-    searchContent,
+    tokenize,
+    editDistance,
+    expandQuery,
+    getSearchIndex,
+    searchDocs,
     escapeRegex,
+    normalizeDoc,
+    normalizeLines,
     scanDocsDir,
     refreshDocCache,
     performHealthCheck,
@@ -549,7 +4249,63 @@ export {
     getThemingDocs,
     getInstallationDocs,
     extractApi,
+    extractComponentApi,
+    parseApiDoc,
+    loadSizeTable,
+    elementFamily,
+    extractSlots,
+    getElementRegistry,
+    resolveElement,
+    readDocFile,
+    parseMarkdownTables,
+    getTokenCatalog,
+    listTokens,
+    cssDeclarations,
+    parseCssCustomProperties,
+    resolveToken,
+    estimateBundleSize,
+    extractCodeBlocks,
+    getExamples,
+    parseHeadings,
+    resolveDocPath,
+    getDocOutline,
+    getDocSection,
+    describedValues,
+    attributeValueType,
+    checkAttributeValue,
+    checkSlots,
+    positionedSelectors,
+    checkStructure,
+    checkAccessibility,
+    suggestTokens,
+    checkTokens,
+    collectImports,
+    checkImports,
+    checkEvent,
+    checkScriptListeners,
+    matchesPattern,
+    mergeValidatorConfigs,
+    loadValidatorConfig,
+    readValidatorConfig,
+    disabledRules,
+    createDiagnostic,
+    collectFindings,
+    fixFinding,
+    fixWebsite,
     validateWebsite,
+    scanCode,
+    renderMarkup,
+    extractMarkup,
+    validateSource,
+    globToRegex,
+    findProjectFiles,
+    projectValidatorConfig,
+    resolveFilePatterns,
+    validateFiles,
+    validateProject,
+    getRoadmap,
+    checkLegacy,
+    suggestMigration,
     withTimeout,
     server
 };
@@ -560,6 +4316,10 @@ if (fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
         await registerDocResources();
         logger.info('Resources registered');
 
+        logger.info('Building search index');
+        await getSearchIndex();
+        logger.info('Search index built');
+
         const transport = new StdioServerTransport();
         logger.info('Connecting to transport');
         await server.connect(transport);
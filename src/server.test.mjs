@@ -1,13 +1,21 @@
 import fs from 'fs/promises';
 import path from 'path';
+import os from 'os';
+import * as cheerio from 'cheerio';
 
-let escapeRegex, extractComponentNames, searchContent, loadDocStructure, registerDocResources, performHealthCheck, getComponentDoc, getThemingDocs, getInstallationDocs, extractApi, validateWebsite, server, refreshDocCache, withTimeout, scanDocsDir;
+let escapeRegex, normalizeDoc, normalizeLines, extractComponentNames, tokenize, editDistance, expandQuery, getSearchIndex, searchDocs, loadDocStructure, registerDocResources, performHealthCheck, getComponentDoc, getThemingDocs, getInstallationDocs, extractApi, extractComponentApi, parseApiDoc, loadSizeTable, elementFamily, extractSlots, getElementRegistry, resolveElement, readDocFile, parseMarkdownTables, getTokenCatalog, listTokens, cssDeclarations, parseCssCustomProperties, resolveToken, estimateBundleSize, extractCodeBlocks, getExamples, parseHeadings, resolveDocPath, getDocOutline, getDocSection, describedValues, attributeValueType, checkAttributeValue, checkSlots, positionedSelectors, checkStructure, checkAccessibility, suggestTokens, checkTokens, collectImports, checkImports, checkEvent, checkScriptListeners, matchesPattern, mergeValidatorConfigs, loadValidatorConfig, disabledRules, createDiagnostic, fixWebsite, validateWebsite, extractMarkup, validateSource, globToRegex, findProjectFiles, projectValidatorConfig, resolveFilePatterns, validateFiles, validateProject, getRoadmap, suggestMigration, server, refreshDocCache, withTimeout, scanDocsDir;
 
 beforeAll(async () => {
     const module = await import('./server.js');
     escapeRegex = module.escapeRegex;
+    normalizeDoc = module.normalizeDoc;
+    normalizeLines = module.normalizeLines;
     extractComponentNames = module.extractComponentNames;
-    searchContent = module.searchContent;
+    tokenize = module.tokenize;
+    editDistance = module.editDistance;
+    expandQuery = module.expandQuery;
+    getSearchIndex = module.getSearchIndex;
+    searchDocs = module.searchDocs;
     loadDocStructure = module.loadDocStructure;
     registerDocResources = module.registerDocResources;
     performHealthCheck = module.performHealthCheck;
@@ -15,7 +23,57 @@ beforeAll(async () => {
     getThemingDocs = module.getThemingDocs;
     getInstallationDocs = module.getInstallationDocs;
     extractApi = module.extractApi;
+    extractComponentApi = module.extractComponentApi;
+    parseApiDoc = module.parseApiDoc;
+    loadSizeTable = module.loadSizeTable;
+    elementFamily = module.elementFamily;
+    extractSlots = module.extractSlots;
+    getElementRegistry = module.getElementRegistry;
+    resolveElement = module.resolveElement;
+    readDocFile = module.readDocFile;
+    parseMarkdownTables = module.parseMarkdownTables;
+    getTokenCatalog = module.getTokenCatalog;
+    listTokens = module.listTokens;
+    cssDeclarations = module.cssDeclarations;
+    parseCssCustomProperties = module.parseCssCustomProperties;
+    resolveToken = module.resolveToken;
+    estimateBundleSize = module.estimateBundleSize;
+    extractCodeBlocks = module.extractCodeBlocks;
+    getExamples = module.getExamples;
+    parseHeadings = module.parseHeadings;
+    resolveDocPath = module.resolveDocPath;
+    getDocOutline = module.getDocOutline;
+    getDocSection = module.getDocSection;
+    describedValues = module.describedValues;
+    attributeValueType = module.attributeValueType;
+    checkAttributeValue = module.checkAttributeValue;
+    checkSlots = module.checkSlots;
+    positionedSelectors = module.positionedSelectors;
+    checkStructure = module.checkStructure;
+    checkAccessibility = module.checkAccessibility;
+    suggestTokens = module.suggestTokens;
+    checkTokens = module.checkTokens;
+    collectImports = module.collectImports;
+    checkImports = module.checkImports;
+    checkEvent = module.checkEvent;
+    checkScriptListeners = module.checkScriptListeners;
+    matchesPattern = module.matchesPattern;
+    mergeValidatorConfigs = module.mergeValidatorConfigs;
+    loadValidatorConfig = module.loadValidatorConfig;
+    disabledRules = module.disabledRules;
+    createDiagnostic = module.createDiagnostic;
+    fixWebsite = module.fixWebsite;
     validateWebsite = module.validateWebsite;
+    extractMarkup = module.extractMarkup;
+    validateSource = module.validateSource;
+    globToRegex = module.globToRegex;
+    findProjectFiles = module.findProjectFiles;
+    projectValidatorConfig = module.projectValidatorConfig;
+    resolveFilePatterns = module.resolveFilePatterns;
+    validateFiles = module.validateFiles;
+    validateProject = module.validateProject;
+    getRoadmap = module.getRoadmap;
+    suggestMigration = module.suggestMigration;
     server = module.server;
     refreshDocCache = module.refreshDocCache;
     withTimeout = module.withTimeout;
@@ -55,17 +113,28 @@ jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
     StdioServerTransport: jest.fn()
 }));
 
-jest.mock('zod', () => ({
-    z: {
-        string: jest.fn(() => ({
-            min: jest.fn(() => ({ optional: jest.fn() }))
-        })),
-        array: jest.fn(() => jest.fn()),
-        object: jest.fn(() => jest.fn()),
-        number: jest.fn(),
-        boolean: jest.fn()
-    }
-}));
+jest.mock('zod', () => {
+    // Chainable stand-in for zod schemas (min, optional, nullable, ...)
+    const schema = () => {
+        const chain = {};
+        for (const method of ['min', 'max', 'int', 'optional', 'nullable', 'default', 'describe']) {
+            chain[method] = jest.fn(() => chain);
+        }
+        chain.parse = jest.fn(value => value);
+        return chain;
+    };
+    return {
+        z: {
+            string: jest.fn(schema),
+            array: jest.fn(schema),
+            object: jest.fn(schema),
+            number: jest.fn(schema),
+            boolean: jest.fn(schema),
+            enum: jest.fn(schema),
+            record: jest.fn(schema)
+        }
+    };
+});
 
 describe('escapeRegex', () => {
     it('should escape special regex characters', () => {
@@ -77,6 +146,106 @@ describe('escapeRegex', () => {
     });
 });
 
+const mockNoisyDoc = `<!-- catalog-only-start --><!-- ---
+name: Buttons
+-----><!-- catalog-only-end -->
+
+<catalog-component-header>
+<catalog-component-header-title slot="title">
+
+# Buttons
+
+<!--*
+# Document freshness: For more information, see go/fresh-source.
+freshness: { owner: 'someone' reviewed: '2025-05-20' }
+*-->
+
+<!-- go/md-button -->
+
+See [the **design** article](https://m3.material.io)<!-- {.external} --> and \`<md-filled-button>\`.
+
+</catalog-component-header-title>
+</catalog-component-header>
+
+<!-- catalog-only-start -->
+
+<!--
+
+<div class="figure-wrapper">
+  <md-filled-button>Demo</md-filled-button>
+</div>
+
+{% playgroundexample dirname=dirname %}
+
+-->
+
+<!-- catalog-only-end -->
+
+![Image](images/button.webp)
+
+\`\`\`html
+<!-- Kept inside code -->
+<md-filled-button>Ok</md-filled-button>
+\`\`\`
+`;
+
+describe('normalizeDoc', () => {
+    it('should return raw content unchanged', () => {
+        expect(normalizeDoc(mockNoisyDoc, 'raw')).toBe(mockNoisyDoc);
+    });
+
+    it('should strip catalog markup, comments and directives in clean mode', () => {
+        expect(normalizeDoc(mockNoisyDoc, 'clean')).toBe([
+            '# Buttons',
+            '',
+            'See [the **design** article](https://m3.material.io) and `<md-filled-button>`.',
+            '',
+            '![Image](images/button.webp)',
+            '',
+            '```html',
+            '<!-- Kept inside code -->',
+            '<md-filled-button>Ok</md-filled-button>',
+            '```'
+        ].join('\n'));
+    });
+
+    it('should default to clean', () => {
+        expect(normalizeDoc(mockNoisyDoc)).toBe(normalizeDoc(mockNoisyDoc, 'clean'));
+    });
+
+    it('should strip markdown formatting in plain mode', () => {
+        expect(normalizeDoc(mockNoisyDoc, 'plain')).toBe([
+            'Buttons',
+            '',
+            'See the design article and <md-filled-button>.',
+            '',
+            '<!-- Kept inside code -->',
+            '<md-filled-button>Ok</md-filled-button>'
+        ].join('\n'));
+    });
+
+    it('should pass through empty content', () => {
+        expect(normalizeDoc(null)).toBeNull();
+        expect(normalizeDoc('')).toBe('');
+    });
+});
+
+describe('normalizeLines', () => {
+    it('should keep one entry per source line', () => {
+        const lines = normalizeLines(mockNoisyDoc);
+
+        expect(lines).toHaveLength(mockNoisyDoc.split('\n').length);
+        expect(lines[7]).toBe('# Buttons');
+        expect(lines[10]).toBe('');
+        expect(lines.filter(Boolean)).toEqual(normalizeDoc(mockNoisyDoc).split('\n').filter(Boolean));
+    });
+
+    it('should strip markdown per line in plain mode and keep raw lines as they are', () => {
+        expect(normalizeLines(mockNoisyDoc, 'plain')[16]).toBe('See the design article and <md-filled-button>.');
+        expect(normalizeLines(mockNoisyDoc, 'raw')).toEqual(mockNoisyDoc.split('\n'));
+    });
+});
+
 describe('extractComponentNames', () => {
     const originalReaddir = fs.readdir;
 
@@ -103,84 +272,159 @@ describe('extractComponentNames', () => {
     });
 });
 
-describe('searchContent', () => {
-    const originalReaddir = fs.readdir;
-    const originalReadFile = fs.readFile;
+describe('tokenize', () => {
+    it('should lowercase, drop stop words and split camelCase names', () => {
+        expect(tokenize('How to use the supportingText of md-filled-button')).toEqual(
+            ['use', 'supportingtext', 'supporting', 'text', 'md', 'filled', 'button']
+        );
+        expect(tokenize('--- | ---')).toEqual([]);
+    });
+});
 
-    afterEach(() => {
-        fs.readdir = originalReaddir;
-        fs.readFile = originalReadFile;
-        refreshDocCache();
+describe('editDistance', () => {
+    it('should count insertions, deletions and substitutions', () => {
+        expect(editDistance('switch', 'switch')).toBe(0);
+        expect(editDistance('swich', 'switch')).toBe(1);
+        expect(editDistance('chekbox', 'checkbox')).toBe(1);
+        expect(editDistance('kitten', 'sitting')).toBe(3);
     });
 
-    it('should find matches in files', async () => {
-        fs.readdir = jest.fn()
-            .mockResolvedValueOnce([{ name: 'test.md', isFile: () => true, isDirectory: () => false }])
-            .mockResolvedValue([]);
+    it('should stop early past the limit', () => {
+        expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+        expect(editDistance('a', 'abcdef', 2)).toBe(3);
+    });
+});
 
-        fs.readFile = jest.fn().mockResolvedValue('line with keyword\nanother line');
+describe('expandQuery', () => {
+    const vocabulary = new Map(['switch', 'select', 'menu', 'linear', 'progress', 'checkbox', 'bar'].map(term => [term, new Map()]));
 
-        const result = await searchContent('keyword');
-        expect(result).toEqual([{
-            file: 'test.md',
-            matches: [{ line: 1, text: 'line with keyword' }]
-        }]);
+    it('should expand synonyms, including multi-word phrases', () => {
+        expect(expandQuery('toggle', vocabulary)).toEqual([{ term: 'switch', from: 'toggle', kind: 'synonym' }]);
+        expect(expandQuery('dropdown', vocabulary).map(expansion => expansion.term)).toEqual(['select', 'menu']);
+        expect(expandQuery('progress bar', vocabulary)).toEqual([
+            { term: 'linear', from: 'progress bar', kind: 'synonym' },
+            { term: 'progress', from: 'progress', kind: 'exact' },
+            { term: 'bar', from: 'bar', kind: 'exact' }
+        ]);
     });
 
-    it('should handle regex special characters in keyword', async () => {
-        fs.readdir = jest.fn()
-            .mockResolvedValueOnce([{ name: 'test.md', isFile: () => true, isDirectory: () => false }])
-            .mockResolvedValue([]);
+    it('should fall back to the closest indexed terms for typos', () => {
+        expect(expandQuery('chekbox', vocabulary)).toEqual([{ term: 'checkbox', from: 'chekbox', kind: 'fuzzy' }]);
+        expect(expandQuery('zzz qqqqqq', vocabulary)).toEqual([]);
+    });
 
-        fs.readFile = jest.fn().mockResolvedValue('line with test.*\nanother line');
+    it('should not steer generic words such as input toward a component', () => {
+        const terms = new Map(['input', 'chip', 'text', 'field'].map(term => [term, new Map()]));
+        expect(expandQuery('input chip', terms).map(expansion => expansion.term)).toEqual(['input', 'chip']);
+    });
 
-        const result = await searchContent('test.*');
-        expect(result).toEqual([{
-            file: 'test.md',
-            matches: [{ line: 1, text: 'line with test.*' }]
-        }]);
+    it('should not map badge or picker to components they are not', () => {
+        const terms = new Map(['chip', 'select', 'badge', 'picker'].map(term => [term, new Map()]));
+        expect(expandQuery('badge', terms)).toEqual([{ term: 'badge', from: 'badge', kind: 'exact' }]);
+        expect(expandQuery('date picker', terms).map(expansion => expansion.term)).toEqual(['picker']);
     });
+});
 
-    it('should handle directory traversal', async () => {
-        fs.readdir = jest.fn()
-            .mockResolvedValueOnce([{ name: 'subdir', isFile: () => false, isDirectory: () => true }])
-            .mockResolvedValueOnce([{ name: 'test.md', isFile: () => true, isDirectory: () => false }])
-            .mockResolvedValue([]);
+const mockSearchDocs = {
+    'ripple.md': `# Ripple
 
-        fs.readFile = jest.fn().mockResolvedValue('content with keyword');
+Ripples show touch feedback.
 
-        const result = await searchContent('keyword');
-        expect(result).toEqual([{
-            file: path.join('subdir', 'test.md'),
-            matches: [{ line: 1, text: 'content with keyword' }]
-        }]);
-    });
+## Usage
+
+Add a ripple to any element.
+
+## API
+
+| Property | Attribute | Type |
+| --- | --- | --- |
+| \`disabled\` | \`disabled\` | \`boolean\` |
+`,
+    'slider.md': `# Slider
+
+Sliders let users make selections from a range of values.
 
-    it('should return empty array when no matches', async () => {
+## Disabled sliders
+
+Sliders can be disabled.
+`
+};
+
+describe('searchDocs', () => {
+    const originalReaddir = fs.readdir;
+    const originalReadFile = fs.readFile;
+
+    beforeEach(() => {
         fs.readdir = jest.fn()
-            .mockResolvedValueOnce([{ name: 'test.md', isFile: () => true, isDirectory: () => false }])
+            .mockResolvedValueOnce(Object.keys(mockSearchDocs).map(name => ({ name, isFile: () => true, isDirectory: () => false })))
             .mockResolvedValue([]);
+        fs.readFile = jest.fn(file => Promise.resolve(mockSearchDocs[path.basename(file)]));
+    });
+
+    afterEach(() => {
+        fs.readdir = originalReaddir;
+        fs.readFile = originalReadFile;
+        refreshDocCache();
+    });
 
-        fs.readFile = jest.fn().mockResolvedValue('no match here');
+    it('should index every heading section once', async () => {
+        const index = await getSearchIndex();
+        expect(index.sections.map(section => section.anchor)).toEqual(['ripple', 'usage', 'api', 'slider', 'disabled-sliders']);
+        await searchDocs('ripple');
+        await searchDocs('slider');
+        expect(fs.readFile).toHaveBeenCalledTimes(2);
+    });
 
-        const result = await searchContent('keyword');
-        expect(result).toEqual([]);
+    it('should rank headings above body text and report the heading of each hit', async () => {
+        const results = await searchDocs('disabled');
+        expect(results.map(result => result.anchor)).toEqual(['disabled-sliders', 'api']);
+        expect(results[0]).toMatchObject({
+            file: 'slider.md',
+            heading: 'Disabled sliders',
+            path: ['Slider', 'Disabled sliders'],
+            line: 5,
+            terms: ['disabled']
+        });
+        expect(results[0].score).toBeGreaterThan(results[1].score);
+        expect(results[1].text).toBe('| `disabled` | `disabled` | `boolean` |');
     });
 
-    it('should handle fs errors', async () => {
-        fs.readdir = jest.fn().mockRejectedValue(new Error('fs error'));
+    it('should favour sections matching more query terms and respect the limit', async () => {
+        const results = await searchDocs('ripple usage element');
+        expect(results[0].anchor).toBe('usage');
+        expect(results[0].terms).toEqual(['ripple', 'usage', 'element']);
+        expect(await searchDocs('ripple', { limit: 1 })).toHaveLength(1);
+    });
+
+    it('should report which expansion matched', async () => {
+        const [typo] = await searchDocs('ripples feedbak');
+        expect(typo.anchor).toBe('ripple');
+        expect(typo.expansions).toEqual([{ term: 'feedback', from: 'feedbak', kind: 'fuzzy' }]);
 
-        await expect(searchContent('keyword')).rejects.toThrow('fs error');
+        const [synonym] = await searchDocs('range');
+        expect(synonym.file).toBe('slider.md');
+        expect(synonym.expansions).toEqual([{ term: 'slider', from: 'range', kind: 'synonym' }]);
     });
 
-    it('should handle empty keyword', async () => {
-        const result = await searchContent('');
-        expect(result).toEqual([]);
+    it('should return nothing for empty or unknown queries', async () => {
+        expect(await searchDocs('')).toEqual([]);
+        expect(await searchDocs('the')).toEqual([]);
+        expect(await searchDocs('nonexistent')).toEqual([]);
     });
 
-    it('should handle null keyword', async () => {
-        const result = await searchContent(null);
-        expect(result).toEqual([]);
+    it('should index cleaned text but report source lines in the requested format', async () => {
+        fs.readdir = jest.fn()
+            .mockResolvedValueOnce([{ name: 'noisy.md', isFile: () => true, isDirectory: () => false }])
+            .mockResolvedValue([]);
+        fs.readFile = jest.fn().mockResolvedValue(mockNoisyDoc);
+
+        expect(await searchDocs('freshness')).toEqual([]);
+        const [clean] = await searchDocs('design article');
+        expect(clean).toMatchObject({ anchor: 'buttons', line: 17, text: 'See [the **design** article](https://m3.material.io) and `<md-filled-button>`.' });
+        const [raw] = await searchDocs('design article', { format: 'raw' });
+        expect(raw.text).toBe('See [the **design** article](https://m3.material.io)<!-- {.external} --> and `<md-filled-button>`.');
+        const [plain] = await searchDocs('design article', { format: 'plain' });
+        expect(plain.text).toBe('See the design article and <md-filled-button>.');
     });
 });
 
@@ -447,6 +691,20 @@ describe('extractApi', () => {
         expect(result.properties).toContain('label');
     });
 
+    it('should leave out property-only members', async () => {
+        fs.readFile = jest.fn().mockResolvedValue(`
+## API
+
+| Property | Attribute | Type | Default | Description |
+| --- | --- | --- | --- | --- |
+| \`checked\` | \`checked\` | \`boolean\` | \`false\` |  |
+| \`disabled\` |  | \`boolean\` | \`undefined\` |  |
+`);
+
+        const result = await extractApi('checkbox');
+        expect(result).toEqual({ properties: ['checked'] });
+    });
+
     it('should return null if no API section', async () => {
         fs.readFile = jest.fn().mockResolvedValue('# No API');
 
@@ -465,52 +723,1246 @@ describe('extractApi', () => {
     });
 });
 
-describe('validateWebsite', () => {
+const mockApiDoc = `
+## API
+
+### MdCheckbox <code>&lt;md-checkbox&gt;</code>
+
+#### Properties
+
+| Property | Attribute | Type | Default | Description |
+| --- | --- | --- | --- | --- |
+| \`checked\` | \`checked\` | \`boolean\` | \`false\` | Whether or not the checkbox is selected. |
+| \`disabled\` |  | \`boolean\` | \`undefined\` |  |
+
+#### Methods
+
+| Method | Parameters | Returns | Description |
+| --- | --- | --- | --- |
+| \`formResetCallback\` | _None_ | \`void\` |  |
+| \`setSelectionRange\` | \`start\`, \`end\` | \`void\` | Sets the selection.<br>See MDN. |
+
+#### Events
+
+| Event | Type | [Bubbles](https://example.com) | [Composed](https://example.com) | Description |
+| --- | --- | --- | --- | --- |
+| \`input\` | \`InputEvent\` | Yes | Yes | The native input event |
+
+### MdRadio <code>&lt;md-radio&gt;</code>
+
+#### Properties
+
+| Property | Attribute | Type | Default | Description |
+| --- | --- | --- | --- | --- |
+| \`type\` | \`type\` | \`'a' \\| 'b'\` | \`'a'\` | Union type |
+
+## Other section
+
+| Property | Attribute | Type | Default | Description |
+| --- | --- | --- | --- | --- |
+| \`ignored\` | \`ignored\` | \`string\` | \`''\` | Outside the API section |
+`;
+
+describe('parseApiDoc', () => {
+    it('should return null without an API section', () => {
+        expect(parseApiDoc('# Title\n\nNo API here')).toBeNull();
+    });
+
+    it('should parse one entry per element heading', () => {
+        const elements = parseApiDoc(mockApiDoc);
+        expect(elements.map(e => e.tagName)).toEqual(['md-checkbox', 'md-radio']);
+        expect(elements[0].className).toBe('MdCheckbox');
+    });
+
+    it('should parse property rows with both columns', () => {
+        const [checkbox] = parseApiDoc(mockApiDoc);
+        expect(checkbox.properties).toEqual([
+            { name: 'checked', attribute: 'checked', type: 'boolean', default: 'false', description: 'Whether or not the checkbox is selected.' },
+            { name: 'disabled', attribute: null, type: 'boolean', default: 'undefined', description: '' }
+        ]);
+    });
+
+    it('should parse method and event rows', () => {
+        const [checkbox] = parseApiDoc(mockApiDoc);
+        expect(checkbox.methods[0]).toEqual({ name: 'formResetCallback', parameters: [], returns: 'void', description: '' });
+        expect(checkbox.methods[1].parameters).toEqual(['start', 'end']);
+        expect(checkbox.methods[1].description).toBe('Sets the selection.\nSee MDN.');
+        expect(checkbox.events).toEqual([
+            { name: 'input', type: 'InputEvent', bubbles: true, composed: true, description: 'The native input event' }
+        ]);
+    });
+
+    it('should keep escaped pipes inside cells', () => {
+        const radio = parseApiDoc(mockApiDoc)[1];
+        expect(radio.properties[0].type).toBe("'a' | 'b'");
+    });
+
+    it('should stop at the next top-level section', () => {
+        const names = parseApiDoc(mockApiDoc).flatMap(e => e.properties.map(p => p.name));
+        expect(names).not.toContain('ignored');
+    });
+});
+
+describe('extractComponentApi', () => {
     const originalReadFile = fs.readFile;
 
     afterEach(() => {
         fs.readFile = originalReadFile;
     });
 
-    it('should validate valid Material Web components', async () => {
-        fs.readFile = jest.fn().mockResolvedValue(`
+    it('should return every element of a component', async () => {
+        fs.readFile = jest.fn().mockResolvedValue(mockApiDoc);
+
+        const result = await extractComponentApi('checkbox');
+        expect(result.component).toBe('checkbox');
+        expect(result.elements).toHaveLength(2);
+    });
+
+    it('should filter by tag or class name', async () => {
+        fs.readFile = jest.fn().mockResolvedValue(mockApiDoc);
+
+        expect((await extractComponentApi('checkbox', 'md-radio')).elements.map(e => e.tagName)).toEqual(['md-radio']);
+        expect((await extractComponentApi('checkbox', 'MdCheckbox')).elements.map(e => e.tagName)).toEqual(['md-checkbox']);
+    });
+
+    it('should return null for missing docs', async () => {
+        fs.readFile = jest.fn().mockRejectedValue(new Error('File not found'));
+
+        expect(await extractComponentApi('nonexistent')).toBeNull();
+    });
+
+    it('should parse the real button doc', async () => {
+        const result = await extractComponentApi('button');
+        expect(result.elements.map(e => e.tagName)).toContain('md-filled-tonal-button');
+        const filled = result.elements.find(e => e.tagName === 'md-filled-button');
+        expect(filled.properties.find(p => p.name === 'softDisabled').attribute).toBe('soft-disabled');
+    });
+});
+
+describe('loadSizeTable', () => {
+    const originalReadFile = fs.readFile;
+
+    afterEach(() => {
+        fs.readFile = originalReadFile;
+    });
+
+    it('should group import rows under their component', async () => {
+        const rows = await loadSizeTable();
+        expect(rows).toContainEqual(expect.objectContaining({ component: 'Menu', importPath: '@material/web/menu/sub-menu.js' }));
+        expect(rows).toContainEqual(expect.objectContaining({ component: 'Checkbox', importPath: '@material/web/checkbox/checkbox.js' }));
+    });
+
+    it('should parse gzip, minified and CSS columns', async () => {
+        const rows = await loadSizeTable();
+        expect(rows.find(row => row.importPath === '@material/web/all.js')).toEqual({
+            component: 'All',
+            importPath: '@material/web/all.js',
+            gzip: 72.1,
+            minified: 455.5,
+            cssPercent: 64
+        });
+    });
+
+    it('should return an empty list when size.md is missing', async () => {
+        fs.readFile = jest.fn().mockRejectedValue(new Error('File not found'));
+
+        expect(await loadSizeTable()).toEqual([]);
+    });
+});
+
+describe('getElementRegistry', () => {
+    beforeEach(() => {
+        refreshDocCache();
+    });
+
+    it('should index every documented tag', async () => {
+        const registry = await getElementRegistry();
+        expect(registry.get('md-filled-tonal-button')).toMatchObject({
+            className: 'MdFilledTonalButton',
+            component: 'button',
+            doc: 'components/button.md',
+            importPath: '@material/web/button/filled-tonal-button.js'
+        });
+        expect(registry.get('md-select-option').component).toBe('select');
+        expect(registry.get('md-secondary-tab').api.properties.length).toBeGreaterThan(0);
+    });
+
+    it('should resolve import paths named after the full tag', async () => {
+        const registry = await getElementRegistry();
+        expect(registry.get('md-focus-ring').importPath).toBe('@material/web/focus/md-focus-ring.js');
+    });
+
+    it('should register elements documented only through examples', async () => {
+        const registry = await getElementRegistry();
+        expect(registry.get('md-icon')).toMatchObject({
+            className: null,
+            component: 'icon',
+            importPath: '@material/web/icon/icon.js',
+            api: null
+        });
+    });
+
+    it('should share slots between variants of an element', async () => {
+        const registry = await getElementRegistry();
+        expect(registry.get('md-dialog').slots).toEqual(['actions', 'content', 'headline', 'icon']);
+        expect(registry.get('md-outlined-button').slots).toEqual(['icon']);
+        expect(registry.get('md-filled-select').slots).toEqual(['leading-icon', 'trailing-icon']);
+        expect(registry.get('md-filled-text-field').slots).toEqual(['leading-icon', 'trailing-icon']);
+        expect(registry.get('md-checkbox').slots).toEqual([]);
+    });
+
+    it('should reuse the cached registry until refresh', async () => {
+        const first = await getElementRegistry();
+        expect(await getElementRegistry()).toBe(first);
+        refreshDocCache();
+        expect(await getElementRegistry()).not.toBe(first);
+    });
+});
+
+describe('extractSlots', () => {
+    it('should read slotted children in HTML examples and API descriptions', () => {
+        const doc = `# Chip
+
+\`\`\`html
+<md-assist-chip label="Share">
+  <md-icon slot="icon">share</md-icon>
+</md-assist-chip>
+<div><span slot="ignored"></span></div>
+\`\`\`
+
 ## API
 
+### MdFilterChip <code>&lt;md-filter-chip&gt;</code>
+
 | Property | Attribute | Type | Default | Description |
 | --- | --- | --- | --- | --- |
-| disabled | disabled | boolean | false | Whether disabled |
-`);
+| \`hasSelectedIcon\` | \`has-selected-icon\` | \`boolean\` | \`false\` | Add this when a chip has a \`slot="selected-icon"\`. |
+`;
+        const slots = extractSlots(doc);
+        expect([...slots.keys()]).toEqual(['md-assist-chip', 'md-filter-chip']);
+        expect([...slots.get('md-filter-chip')]).toEqual(['selected-icon']);
+    });
+
+    it('should group variants by element family', () => {
+        expect(elementFamily('md-filled-tonal-button')).toBe('button');
+        expect(elementFamily('md-text-button')).toBe('button');
+        expect(elementFamily('md-outlined-icon-button')).toBe('icon-button');
+        expect(elementFamily('md-select-option')).toBe('select-option');
+    });
+});
+
+describe('resolveElement', () => {
+    beforeEach(() => {
+        refreshDocCache();
+    });
+
+    it('should resolve tags and class names', async () => {
+        expect((await resolveElement('md-sub-menu')).doc).toBe('components/menu.md');
+        expect((await resolveElement('<MD-SUB-MENU>')).tagName).toBe('md-sub-menu');
+        expect((await resolveElement('MdSubMenu')).tagName).toBe('md-sub-menu');
+    });
+
+    it('should return null for unknown or empty names', async () => {
+        expect(await resolveElement('md-unknown')).toBeNull();
+        expect(await resolveElement('')).toBeNull();
+        expect(await resolveElement(null)).toBeNull();
+    });
+});
+
+describe('readDocFile', () => {
+    it('should read docs relative to ui-docs', async () => {
+        expect(await readDocFile('theming/color.md')).toContain('# Color');
+    });
+
+    it('should refuse paths outside ui-docs', async () => {
+        expect(await readDocFile('../package.json')).toBeNull();
+    });
+
+    it('should return null for missing docs', async () => {
+        expect(await readDocFile('missing.md')).toBeNull();
+    });
+});
+
+describe('parseMarkdownTables', () => {
+    it('should parse tables without outer pipes under their heading', () => {
+        const tables = parseMarkdownTables('### Button tokens\n\nToken | Default value\n----- | -----\n`--md-a` | `--md-b`\n\nAfter');
+        expect(tables).toEqual([{
+            heading: 'Button tokens',
+            line: 3,
+            header: ['Token', 'Default value'],
+            rows: [['`--md-a`', '`--md-b`']]
+        }]);
+    });
+
+    it('should ignore headings and tables inside code fences', () => {
+        const tables = parseMarkdownTables('```md\n# Not a heading\nA | B\n--- | ---\n```\n| A | B |\n| --- | --- |\n| 1 | 2 |');
+        expect(tables).toHaveLength(1);
+        expect(tables[0].heading).toBeNull();
+        expect(tables[0].rows).toEqual([['1', '2']]);
+    });
+});
+
+describe('getTokenCatalog', () => {
+    beforeEach(() => {
+        refreshDocCache();
+    });
+
+    it('should include component tokens with their default reference', async () => {
+        const catalog = await getTokenCatalog();
+        expect(catalog.get('--md-elevated-button-container-color')).toMatchObject({
+            kind: 'component',
+            category: 'color',
+            component: 'button',
+            doc: 'components/button.md',
+            section: 'Elevated button tokens',
+            default: '--md-sys-color-surface',
+            references: '--md-sys-color-surface'
+        });
+        expect(catalog.get('--md-fab-small-icon-size')).toMatchObject({ default: '24px', references: null });
+    });
+
+    it('should include system tokens from the theming tables', async () => {
+        const catalog = await getTokenCatalog();
+        expect(catalog.get('--md-sys-color-primary')).toMatchObject({ kind: 'system', doc: 'theming/color.md', group: 'Primary', source: 'table' });
+        expect(catalog.get('--md-sys-shape-corner-full').category).toBe('shape');
+        expect(catalog.get('--md-ref-typeface-brand').kind).toBe('reference');
+    });
+
+    it('should derive documented on-* colors and typescale sizes', async () => {
+        const catalog = await getTokenCatalog();
+        expect(catalog.get('--md-sys-color-on-primary').source).toBe('derived');
+        expect(catalog.has('--md-sys-color-on-surface-bright')).toBe(false);
+        expect(catalog.get('--md-sys-typescale-label-large-font').source).toBe('derived');
+    });
+
+    it('should include the system color roles, motion and state tokens the docs leave out', async () => {
+        const catalog = await getTokenCatalog();
+        expect(catalog.get('--md-sys-color-inverse-primary')).toMatchObject({ category: 'color', doc: 'theming/color.md', source: 'builtin' });
+        expect(catalog.get('--md-sys-color-primary').source).toBe('table');
+        for (const name of ['--md-sys-color-surface-variant', '--md-sys-color-scrim', '--md-sys-color-surface-tint', '--md-sys-color-on-primary-fixed-variant',
+            '--md-sys-motion-easing-emphasized-decelerate', '--md-sys-motion-duration-extra-long4', '--md-sys-state-pressed-state-layer-opacity']) {
+            expect(catalog.has(name)).toBe(true);
+        }
+    });
+
+    it('should not treat naming conventions as tokens', async () => {
+        const catalog = await getTokenCatalog();
+        expect(catalog.has('--md-sys-color-on')).toBe(false);
+        expect(catalog.has('--md-sys-color')).toBe(false);
+    });
+});
+
+describe('listTokens', () => {
+    beforeEach(() => {
+        refreshDocCache();
+    });
+
+    it('should filter by component and category', async () => {
+        const tokens = await listTokens({ component: 'checkbox', category: 'shape' });
+        expect(tokens.length).toBeGreaterThan(0);
+        expect(tokens.every(t => t.component === 'checkbox' && t.category === 'shape')).toBe(true);
+    });
+
+    it('should filter by prefix with or without leading dashes', async () => {
+        const withDashes = await listTokens({ prefix: '--md-sys-shape' });
+        const withoutDashes = await listTokens({ prefix: 'md-sys-shape' });
+        expect(withDashes).toEqual(withoutDashes);
+        expect(withDashes.map(t => t.name)).toContain('--md-sys-shape-corner-small');
+    });
+});
+
+describe('parseCssCustomProperties', () => {
+    it('should collect declarations with later ones winning', () => {
+        const declarations = parseCssCustomProperties(`
+            :root { --md-sys-color-primary: red; /* --md-ignored: 1px; */ }
+            .dark { --md-sys-color-primary: #000; --md-x: var(--md-y, 4px) }
+        `);
+        expect([...declarations]).toEqual([
+            ['--md-sys-color-primary', '#000'],
+            ['--md-x', 'var(--md-y, 4px)']
+        ]);
+    });
+
+    it('should handle empty input', () => {
+        expect(parseCssCustomProperties(undefined).size).toBe(0);
+    });
+});
+
+describe('cssDeclarations', () => {
+    it('should record name and value offsets in the original CSS', () => {
+        const css = '/* --md-a: 1px */ --md-b:  red; --md-c:var(--md-d)';
+        const declarations = cssDeclarations(css);
+
+        expect(declarations).toEqual([
+            { name: '--md-b', value: 'red', start: 18, valueStart: 27 },
+            { name: '--md-c', value: 'var(--md-d)', start: 32, valueStart: 39 }
+        ]);
+        expect(css.slice(declarations[0].valueStart, declarations[0].valueStart + 3)).toBe('red');
+    });
+});
+
+describe('resolveToken', () => {
+    beforeEach(() => {
+        refreshDocCache();
+    });
+
+    it('should follow a component token to its system token', async () => {
+        const result = await resolveToken('--md-filled-button-container-color');
+        expect(result.resolved).toBe(false);
+        expect(result.chain).toEqual([
+            { token: '--md-filled-button-container-color', value: '--md-sys-color-primary', source: 'default', doc: 'components/button.md' },
+            { token: '--md-sys-color-primary', value: null, source: 'unset', doc: 'theming/color.md' }
+        ]);
+    });
+
+    it('should apply overrides anywhere in the chain', async () => {
+        const result = await resolveToken('md-filled-button-container-color', ':root { --md-sys-color-primary: #191C1C; }');
+        expect(result.value).toBe('#191C1C');
+        expect(result.chain[1]).toMatchObject({ token: '--md-sys-color-primary', source: 'override' });
+    });
+
+    it('should use var() fallbacks for unset tokens', async () => {
+        const result = await resolveToken('--md-filled-button-container-color', '--md-filled-button-container-color: var(--brand, #f00);');
+        expect(result.value).toBe('#f00');
+        expect(result.chain[1]).toEqual({ token: '--brand', value: '#f00', source: 'fallback', doc: null });
+    });
+
+    it('should return literal defaults directly', async () => {
+        const result = await resolveToken('--md-fab-small-icon-size');
+        expect(result).toMatchObject({ found: true, resolved: true, value: '24px' });
+    });
+
+    it('should detect circular references', async () => {
+        const result = await resolveToken('--md-x', '--md-x: var(--md-y); --md-y: var(--md-x);');
+        expect(result.error).toBe('Circular reference at --md-x');
+    });
+
+    it('should report unknown tokens', async () => {
+        const result = await resolveToken('--md-unknown-token');
+        expect(result.found).toBe(false);
+    });
+});
+
+describe('estimateBundleSize', () => {
+    beforeEach(() => {
+        refreshDocCache();
+    });
+
+    it('should resolve tags and import paths to deduplicated rows', async () => {
+        const result = await estimateBundleSize({
+            items: ['md-filled-button', '@material/web/button/filled-button.js', '@material/web/checkbox/checkbox.js']
+        });
+        expect(result.imports.map(row => row.importPath)).toEqual([
+            '@material/web/button/filled-button.js',
+            '@material/web/checkbox/checkbox.js'
+        ]);
+        expect(result.imports[0].elements).toEqual(['md-filled-button']);
+        expect(result.total).toEqual({ gzip: 14, minified: 56.2 });
+        expect(result.recommendation).toBe('individual');
+    });
+
+    it('should collect tags from an HTML snippet', async () => {
+        const result = await estimateBundleSize({ html: '<md-list><md-list-item></md-list-item><md-list-item></md-list-item></md-list>' });
+        expect(result.imports.map(row => row.importPath)).toEqual([
+            '@material/web/list/list.js',
+            '@material/web/list/list-item.js'
+        ]);
+    });
+
+    it('should report unresolved items', async () => {
+        const result = await estimateBundleSize({ items: ['md-snackbar', 'md-snackbar'] });
+        expect(result.unresolved).toEqual(['md-snackbar']);
+        expect(result.total).toEqual({ gzip: 0, minified: 0 });
+        expect(result.recommendation).toBe('individual');
+    });
+
+    it('should recommend a shared bundle when it is cheaper', async () => {
+        const commonTags = ['md-outlined-select', 'md-select-option', 'md-outlined-text-field', 'md-menu', 'md-menu-item', 'md-slider'];
+        const common = await estimateBundleSize({ items: commonTags });
+        expect(common.bundles.common.covers).toBe(true);
+        expect(common.recommendation).toBe('common');
+
+        const registry = await getElementRegistry();
+        const all = await estimateBundleSize({ items: [...registry.keys()] });
+        expect(all.bundles.common.covers).toBe(false);
+        expect(all.recommendation).toBe('all');
+    });
+});
+
+const mockExamplesDoc = `# Text field
+
+<!--
+
+## Interactive Demo
+
+-->
+
+## Usage
+
+\`\`\`html
+<md-filled-text-field label="Name"></md-filled-text-field>
+\`\`\`
+
+### Textarea
+
+*   List item
+
+    \`\`\`html
+    <md-outlined-text-field type="textarea">
+    </md-outlined-text-field>
+    \`\`\`
+
+## Theming
+
+\`\`\`css
+:root { --md-sys-color-primary: red; }
+\`\`\`
+`;
+
+describe('extractCodeBlocks', () => {
+    it('should return each block with its heading path, language and tags', () => {
+        const blocks = extractCodeBlocks(mockExamplesDoc);
+        expect(blocks).toEqual([
+            { headingPath: ['Text field', 'Usage'], language: 'html', line: 11, code: '<md-filled-text-field label="Name"></md-filled-text-field>', tags: ['md-filled-text-field'] },
+            { headingPath: ['Text field', 'Usage', 'Textarea'], language: 'html', line: 19, code: '<md-outlined-text-field type="textarea">\n</md-outlined-text-field>', tags: ['md-outlined-text-field'] },
+            { headingPath: ['Text field', 'Theming'], language: 'css', line: 26, code: ':root { --md-sys-color-primary: red; }', tags: [] }
+        ]);
+    });
+
+    it('should ignore headings inside HTML comments', () => {
+        const paths = extractCodeBlocks(mockExamplesDoc).map(block => block.headingPath.join(' > '));
+        expect(paths.join()).not.toContain('Interactive Demo');
+    });
+});
+
+describe('getExamples', () => {
+    const originalReadFile = fs.readFile;
+
+    afterEach(() => {
+        fs.readFile = originalReadFile;
+    });
+
+    it('should filter by section, keyword and language', async () => {
+        fs.readFile = jest.fn().mockResolvedValue(mockExamplesDoc);
+
+        expect((await getExamples('text-field', { section: 'textarea' })).examples).toHaveLength(1);
+        expect((await getExamples('text-field', { keyword: 'label=' })).examples[0].line).toBe(11);
+        expect((await getExamples('text-field', { language: 'css' })).examples[0].headingPath).toEqual(['Text field', 'Theming']);
+    });
+
+    it('should return null for a missing component', async () => {
+        fs.readFile = jest.fn().mockRejectedValue(new Error('File not found'));
+
+        expect(await getExamples('nonexistent')).toBeNull();
+    });
+
+    it('should find the canonical icon example in the button doc', async () => {
+        const { examples } = await getExamples('button', { section: 'Usage > Icon' });
+        expect(examples).toHaveLength(1);
+        expect(examples[0].tags).toEqual(['md-filled-tonal-button', 'md-text-button']);
+    });
+});
+
+describe('parseHeadings', () => {
+    it('should return levels, anchors, parents and paths', () => {
+        const headings = parseHeadings(mockExamplesDoc);
+        expect(headings).toEqual([
+            { level: 1, title: 'Text field', anchor: 'text-field', parent: null, path: ['Text field'], line: 1 },
+            { level: 2, title: 'Usage', anchor: 'usage', parent: 'text-field', path: ['Text field', 'Usage'], line: 9 },
+            { level: 3, title: 'Textarea', anchor: 'textarea', parent: 'usage', path: ['Text field', 'Usage', 'Textarea'], line: 15 },
+            { level: 2, title: 'Theming', anchor: 'theming', parent: 'text-field', path: ['Text field', 'Theming'], line: 24 }
+        ]);
+    });
+
+    it('should dedupe repeated anchors and ignore headings in code fences', () => {
+        const headings = parseHeadings('## Properties\n\n```md\n## Fake\n```\n\n## Properties\n\n### MdIcon <code>&lt;md-icon&gt;</code>');
+        expect(headings.map(h => h.anchor)).toEqual(['properties', 'properties-1', 'mdicon-md-icon']);
+    });
+});
+
+describe('getDocOutline and getDocSection', () => {
+    const originalReadFile = fs.readFile;
+
+    afterEach(() => {
+        fs.readFile = originalReadFile;
+    });
+
+    it('should resolve component, theming and top-level docs', async () => {
+        expect(await resolveDocPath('text-field')).toBe('components/text-field.md');
+        expect(await resolveDocPath('color')).toBe('theming/color.md');
+        expect(await resolveDocPath('support.md')).toBe('support.md');
+        expect(await resolveDocPath('../package.json')).toBeNull();
+    });
+
+    it('should outline a top-level doc', async () => {
+        const outline = await getDocOutline('quick-start');
+        expect(outline.doc).toBe('quick-start.md');
+        expect(outline.headings.length).toBeGreaterThan(0);
+        expect(await getDocOutline('nonexistent')).toBeNull();
+    });
+
+    it('should return a section by anchor or heading path', async () => {
+        fs.readFile = jest.fn().mockResolvedValue(mockExamplesDoc);
+
+        const byAnchor = await getDocSection('text-field', { anchor: '#usage', format: 'raw' });
+        expect(byAnchor.path).toEqual(['Text field', 'Usage']);
+        expect(byAnchor.content).toContain('### Textarea');
+        expect(byAnchor.content).not.toContain('## Theming');
+
+        const byPath = await getDocSection('text-field', { headingPath: 'usage > textarea' });
+        expect(byPath.anchor).toBe('textarea');
+        expect(byPath.content.startsWith('### Textarea')).toBe(true);
+
+        expect(await getDocSection('text-field', { anchor: 'missing' })).toEqual({ doc: 'components/text-field.md', found: false });
+    });
+
+    it('should find the constraint validation section of the real text field doc', async () => {
+        const section = await getDocSection('text-field', { headingPath: 'Validation > Constraint validation' });
+        expect(section.anchor).toBe('constraint-validation');
+        expect(section.content).not.toContain('#### Manual validation');
+    });
+});
+
+describe('attributeValueType', () => {
+    it('should read boolean, number and string types', () => {
+        expect(attributeValueType({ type: 'boolean' })).toEqual({ kind: 'boolean' });
+        expect(attributeValueType({ type: 'number' })).toEqual({ kind: 'number' });
+        expect(attributeValueType({ type: 'string', description: 'The label.' })).toEqual({ kind: 'string' });
+        expect(attributeValueType({ type: null })).toEqual({ kind: 'unknown' });
+    });
+
+    it('should parse literal unions', () => {
+        expect(attributeValueType({ type: "'text' | 'email' | 'number' | undefined" })).toEqual({ kind: 'enum', values: ['text', 'email', 'number'] });
+        expect(attributeValueType({ type: "'text' | number" })).toEqual({ kind: 'unknown' });
+    });
+
+    it('should read values enumerated by the description', () => {
+        expect(describedValues({ description: 'May be "button", "reset", or "submit" (default).', default: "'submit'" })).toEqual(['button', 'reset', 'submit']);
+        expect(describedValues({ description: 'Defaults to "text". Change to "link" or "button" for interactive items.', default: "'text'" })).toEqual(['text', 'link', 'button']);
+        expect(describedValues({ description: 'Supported types:\n- text - textarea - email\nSee MDN.', default: "'text'" })).toEqual(['text', 'textarea', 'email']);
+        expect(attributeValueType({ type: 'string', description: 'Defaults to "menuitem".' })).toEqual({ kind: 'string' });
+    });
+});
+
+describe('checkAttributeValue', () => {
+    const checked = { attribute: 'checked', type: 'boolean', default: 'false' };
+    const max = { attribute: 'max', type: 'number', default: '100' };
+
+    it('should flag false-y values on boolean attributes as errors', () => {
+        expect(checkAttributeValue('md-checkbox', checked, 'false')).toEqual({
+            ruleId: 'boolean-attribute',
+            severity: 'error',
+            message: 'checked="false" on md-checkbox still turns checked on; boolean attributes are true whenever present, so remove the attribute instead'
+        });
+        expect(checkAttributeValue('md-checkbox', checked, 'true').severity).toBe('warning');
+        expect(checkAttributeValue('md-checkbox', checked, '')).toBeNull();
+        expect(checkAttributeValue('md-checkbox', checked, 'checked')).toBeNull();
+    });
+
+    it('should require numbers for number attributes', () => {
+        expect(checkAttributeValue('md-slider', max, 'abc').message).toBe("Invalid value 'abc' for max on md-slider: expected a number (default 100)");
+        expect(checkAttributeValue('md-slider', max, '')).not.toBeNull();
+        expect(checkAttributeValue('md-slider', max, '2.5')).toBeNull();
+    });
+});
+
+describe('positionedSelectors and checkStructure', () => {
+    it('should collect selectors of positioned rules, including inside at-rules', () => {
+        const $ = cheerio.load('<style>.a { color: red } @media (min-width: 1px) { .b, #c { position: sticky } }</style>');
+        expect(positionedSelectors($)).toEqual(['.b', '#c']);
+    });
+
+    it('should treat a ripple at the document root as unpositioned', () => {
+        const $ = cheerio.load('<md-ripple></md-ripple>', null, false);
+        const entry = { tagName: 'md-ripple', doc: 'components/ripple.md' };
+        expect(checkStructure($, $('md-ripple')[0], entry, [])).toEqual([{
+            ruleId: 'positioned-host',
+            severity: 'warning',
+            message: 'md-ripple needs a positioned parent; place it inside a container with position: relative',
+            doc: 'components/ripple.md#usage',
+            node: $('md-ripple')[0]
+        }]);
+    });
+});
+
+describe('checkAccessibility', () => {
+    const check = (html, selector) => {
+        const $ = cheerio.load(html);
+        return checkAccessibility($, $(selector)[0], selector).map(finding => finding.message);
+    };
+
+    it('should cite the doc section of each finding', () => {
+        expect(check('<md-icon-button><md-icon>search</md-icon></md-icon-button>', 'md-icon-button')).toEqual([
+            'md-icon-button needs an aria-label describing its action (see components/icon-button.md#accessibility)'
+        ]);
+        expect(check('<md-circular-progress indeterminate></md-circular-progress>', 'md-circular-progress')).toEqual([
+            'md-circular-progress needs an aria-label giving it a descriptive name (see components/progress.md#accessibility)'
+        ]);
+        expect(check('<label><md-switch></md-switch> Wi-Fi</label>', 'md-switch')).toEqual([
+            'md-switch needs an aria-label; it is not labelled by a <label> element (see components/switch.md#accessibility)'
+        ]);
+    });
+
+    it('should accept the documented alternatives', () => {
+        expect(check('<md-icon-button aria-labelledby="l"></md-icon-button>', 'md-icon-button')).toEqual([]);
+        expect(check('<md-fab label="Edit"></md-fab>', 'md-fab')).toEqual([]);
+        expect(check('<md-outlined-text-field label="Name"></md-outlined-text-field>', 'md-outlined-text-field')).toEqual([]);
+        expect(check('<div role="radiogroup"><md-radio aria-label="One"></md-radio></div>', 'md-radio')).toEqual([]);
+        expect(check('<md-radio aria-label="One"></md-radio>', 'md-radio')).toEqual([
+            'md-radio should be placed inside an element with role="radiogroup" (see components/radio.md#accessibility)'
+        ]);
+    });
+
+    it('should check the menu anchor only when it is in the markup', () => {
+        expect(check('<button id="more">More</button><md-menu anchor="more"></md-menu>', 'md-menu')).toEqual([
+            'The anchor #more of md-menu needs aria-haspopup and aria-expanded (see components/menu.md#accessibility)'
+        ]);
+        expect(check('<button id="more" aria-haspopup="true" aria-expanded="false"></button><md-menu anchor="more"></md-menu>', 'md-menu')).toEqual([]);
+        expect(check('<md-menu anchor="elsewhere"></md-menu>', 'md-menu')).toEqual([]);
+    });
+
+    it('should not check menu anchors that scripts set or look up', () => {
+        const markup = '<button id="more">More</button><md-menu id="menu" anchor="more"></md-menu>';
+        expect(check(`${markup}<script type="module">document.querySelector('#menu').anchorElement = button;</script>`, 'md-menu')).toEqual([]);
+        expect(check(`${markup}<script>const anchorEl = document.querySelector('#more');</script>`, 'md-menu')).toEqual([]);
+        expect(check(`${markup}<script>document.getElementById("more").onclick = toggle;</script>`, 'md-menu')).toEqual([]);
+        expect(check(`${markup}<script>document.querySelector('#more-items');</script>`, 'md-menu')).toEqual([
+            'The anchor #more of md-menu needs aria-haspopup and aria-expanded (see components/menu.md#accessibility)'
+        ]);
+        expect(check('<md-filled-text-field id="field" type="combobox" aria-expanded="true"></md-filled-text-field><md-menu anchor="field"></md-menu>', 'md-menu')).toEqual([]);
+    });
+});
+
+describe('suggestTokens and checkTokens', () => {
+    it('should suggest the closest catalog tokens', () => {
+        const catalog = new Map([['--md-sys-color-primary', {}], ['--md-sys-color-secondary', {}], ['--md-sys-color-tertiary', {}]]);
+
+        expect(suggestTokens('--md-sys-color-primery', catalog)).toEqual(['--md-sys-color-primary']);
+        expect(suggestTokens('--md-sys-color-purple', catalog)).toEqual([]);
+    });
+
+    it('should accept system tokens the theming docs do not list', async () => {
+        const html = '<style>:root { --md-sys-color-surface-variant: #eee; --md-sys-color-scrim: #000; transition: opacity var(--md-sys-motion-duration-short2); opacity: var(--md-sys-state-hover-state-layer-opacity); }</style>';
+        const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+
+        expect(checkTokens($, html, await getTokenCatalog(), await getElementRegistry())).toEqual([]);
+    });
+
+    it('should report unknown tokens and mismatched value kinds with source ranges', async () => {
+        const html = `<style>
+  :root { --md-sys-color-primery: #fff; --md-sys-color-primary: 12px; }
+  md-filled-button { --md-filled-button-hover-state-layer-color: red; color: var(--md-fancy-color); }
+</style>
+<div style="--md-filled-button-container-shape: #fff"></div>`;
+        const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+        const findings = checkTokens($, html, await getTokenCatalog(), await getElementRegistry());
+
+        expect(findings.map(({ ruleId, message, doc, span }) => ({ ruleId, message, doc, text: html.slice(span.startOffset, span.endOffset) }))).toEqual([
+            {
+                ruleId: 'unknown-token',
+                message: 'Unknown token --md-sys-color-primery; did you mean --md-sys-color-primary?',
+                doc: 'theming/color.md#tokens',
+                text: '--md-sys-color-primery'
+            },
+            {
+                ruleId: 'token-value',
+                message: "--md-sys-color-primary expects a color, not '12px'",
+                doc: 'theming/color.md#tokens',
+                text: '12px'
+            },
+            { ruleId: 'unknown-token', message: 'Unknown token --md-fancy-color', doc: null, text: '--md-fancy-color' },
+            {
+                ruleId: 'token-value',
+                message: "--md-filled-button-container-shape expects a length, not '#fff'",
+                doc: 'components/button.md#filled-button-tokens',
+                text: '#fff'
+            }
+        ]);
+    });
+});
+
+describe('collectImports and checkImports', () => {
+    const check = async (html) => {
+        const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+        return checkImports($, html, await getElementRegistry());
+    };
+
+    it('should resolve importmap aliases and CDN URLs to package paths', () => {
+        const html = `<script type="importmap">{"imports": {"md/": "https://esm.run/@material/web/"}}</script>
+<script type="module">
+  import 'md/checkbox/checkbox.js';
+  import {styles} from "https://esm.run/@material/web@1.2/typography/md-typescale-styles.js";
+  const lazy = () => import('./local.js');
+</script>`;
+        const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+        const { imports, complete } = collectImports($, html);
+
+        expect(complete).toBe(true);
+        expect(imports.map(({ specifier, path: modulePath, span }) => [specifier, modulePath, html.slice(span.startOffset, span.endOffset)])).toEqual([
+            ['md/checkbox/checkbox.js', '@material/web/checkbox/checkbox.js', 'md/checkbox/checkbox.js'],
+            ['https://esm.run/@material/web@1.2/typography/md-typescale-styles.js', '@material/web/typography/md-typescale-styles.js', 'https://esm.run/@material/web@1.2/typography/md-typescale-styles.js']
+        ]);
+    });
+
+    it('should report tags without an import and element imports nothing uses', async () => {
+        const findings = await check(`<script type="module">
+  import '@material/web/checkbox/checkbox.js';
+  import '@material/web/slider/slider.js';
+</script>
+<md-checkbox></md-checkbox><md-switch></md-switch><md-switch></md-switch>`);
+
+        expect(findings.map(({ ruleId, severity, message }) => ({ ruleId, severity, message }))).toEqual([
+            { ruleId: 'missing-import', severity: 'error', message: '<md-switch> is used but @material/web/switch/switch.js is not imported, so it renders as an unknown element' },
+            { ruleId: 'unused-import', severity: 'warning', message: '@material/web/slider/slider.js is imported but no <md-slider> is used' }
+        ]);
+    });
+
+    it('should treat all.js as covering every element and common.js as covering its list', async () => {
+        expect(await check('<script type="module">import \'@material/web/all.js\';</script><md-slider></md-slider>')).toEqual([]);
+
+        const findings = await check('<script type="module">import \'@material/web/common.js\';</script><md-slider></md-slider><md-filled-tonal-button></md-filled-tonal-button>');
+        expect(findings.map(finding => finding.message)).toEqual([
+            '<md-filled-tonal-button> is not included in @material/web/common.js; import @material/web/button/filled-tonal-button.js'
+        ]);
+    });
+
+    it('should not report missing imports when modules may come from elsewhere', async () => {
+        expect(await check('<md-switch></md-switch>')).toEqual([]);
+        expect(await check('<script type="module" src="./index.js"></script><md-switch></md-switch>')).toEqual([]);
+        expect(await check('<script type="module">document.querySelector(\'md-switch\').selected = true;</script><md-switch></md-switch>')).toEqual([]);
+        expect(await check('<script type="module">import \'./bundle.js\';</script><script type="module">import \'@material/web/checkbox/checkbox.js\';</script><md-checkbox></md-checkbox><md-switch></md-switch>')).toEqual([]);
+    });
+});
+
+describe('property-only members', () => {
+    it('should warn when a property without an attribute is set as one', async () => {
+        const result = await validateWebsite('<md-dialog aria-label="Saved" returnvalue="ok"></md-dialog>');
+
+        expect(result.diagnostics.map(({ ruleId, message, snippet }) => ({ ruleId, message, snippet }))).toEqual([{
+            ruleId: 'property-only',
+            message: 'returnValue is a property of md-dialog with no attribute, so the returnvalue attribute does nothing; set it with a Lit .returnValue=${...} binding or from JavaScript (element.returnValue = ...)',
+            snippet: 'returnvalue="ok"'
+        }]);
+    });
+
+    it('should accept form-associated attributes the API tables leave without one', async () => {
+        const result = await validateWebsite('<form id="f"><div role="radiogroup" aria-label="Animals"><md-radio name="animals" aria-label="Cats"></md-radio></div><md-checkbox aria-label="Agree" name="agree" disabled></md-checkbox></form><md-text-button form="f">Submit</md-text-button>');
+
+        expect(result.diagnostics).toEqual([]);
+    });
+
+    it('should accept Lit property bindings and JSX props for property-only members', async () => {
+        const result = await validateSource([
+            'html`<md-dialog aria-label="a" .returnValue=${v}></md-dialog><md-dialog aria-label="b" ?returnvalue=${v}></md-dialog>`;',
+            'const A = () => <md-dialog aria-label="c" returnValue={v} />;'
+        ].join('\n'));
+
+        expect(result.diagnostics.map(diagnostic => [diagnostic.ruleId, diagnostic.snippet])).toEqual([['property-only', '?returnvalue=${v}']]);
+    });
+});
+
+describe('checkEvent and checkScriptListeners', () => {
+    it('should accept documented and DOM events and list the real ones otherwise', async () => {
+        const registry = await getElementRegistry();
+
+        expect(checkEvent(registry.get('md-dialog'), 'closed')).toBeNull();
+        expect(checkEvent(registry.get('md-dialog'), 'click')).toBeNull();
+        expect(checkEvent(registry.get('md-dialog'), 'selected')).toEqual({
+            ruleId: 'unknown-event',
+            severity: 'warning',
+            message: "Unknown event 'selected' for md-dialog; its events are open, opened, close, closed, cancel"
+        });
+        expect(checkEvent(registry.get('md-filled-button'), 'activate').message).toBe(
+            "Unknown event 'activate' for md-filled-button; it documents no events of its own"
+        );
+    });
+
+    it('should check addEventListener calls on elements found by selector or variable', async () => {
+        const html = `<md-dialog id="d"></md-dialog><md-input-chip></md-input-chip>
+<script>
+  const dialog = document.getElementById('d');
+  dialog.addEventListener('closed', () => {});
+  dialog.addEventListener('dismiss', () => {});
+  document.querySelector('md-input-chip').addEventListener("removed", () => {});
+  window.addEventListener('load', () => {});
+</script>`;
+        const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+        const findings = checkScriptListeners($, html, await getElementRegistry());
+
+        expect(findings.map(finding => [finding.message, html.slice(finding.span.startOffset, finding.span.endOffset)])).toEqual([
+            ["Unknown event 'dismiss' for md-dialog; its events are open, opened, close, closed, cancel", 'dismiss'],
+            ["Unknown event 'removed' for md-input-chip; its events are remove, update-focus", 'removed']
+        ]);
+    });
+
+    it('should check on* handlers, Lit @event bindings and JSX props', async () => {
+        const html = await validateWebsite('<md-checkbox aria-label="a" onchange="f()" onclick="g()" onchecked="h()"></md-checkbox>');
+        expect(html.warnings).toEqual(["Unknown event 'checked' for md-checkbox; its events are change, input"]);
+
+        const source = await validateSource('html`<md-switch aria-label="a" @change=${f} @switched=${g}></md-switch>`;\nconst A = () => <md-switch aria-label="b" onChange={f} onToggled={g} />;');
+        expect(source.diagnostics.map(diagnostic => diagnostic.snippet)).toEqual(['@switched=${g}', 'onToggled={g}']);
+    });
+
+    it('should accept standard form and input events on any element', async () => {
+        const source = await validateSource('html`<md-filled-text-field label="Email" @invalid=${f} @beforeinput=${g} @select=${h}></md-filled-text-field>`;');
+        expect(source.warnings).toEqual([]);
+
+        const html = await validateWebsite('<md-outlined-select oninvalid="f()" onreset="g()"></md-outlined-select>');
+        expect(html.warnings).toEqual([]);
+    });
+});
+
+describe('validator configuration', () => {
+    const originalReadFile = fs.readFile;
+
+    afterEach(() => {
+        fs.readFile = originalReadFile;
+    });
+
+    it('should match names against patterns with wildcards', () => {
+        expect(matchesPattern('data-test', ['id', 'data-*'])).toBe(true);
+        expect(matchesPattern('a11y-fab-label', ['a11y-*'])).toBe(true);
+        expect(matchesPattern('md-app-shell', ['md-app.*'])).toBe(false);
+    });
+
+    it('should merge configs with the later one winning per rule', () => {
+        expect(mergeValidatorConfigs(
+            { rules: { 'unknown-attribute': 'error', 'a11y-*': 'off' }, allowAttributes: ['data-*'] },
+            { rules: { 'unknown-attribute': 'warning' }, allowElements: ['md-app-*'] }
+        )).toEqual({
+            rules: { 'unknown-attribute': 'warning', 'a11y-*': 'off' },
+            allowAttributes: ['data-*'],
+            allowElements: ['md-app-*']
+        });
+    });
+
+    it('should read disable comments for the following line', () => {
+        const disabled = disabledRules('<!-- mwc-disable-next-line unknown-attribute, a11y-fab-label -->\n<md-fab></md-fab>\n// mwc-disable-next-line\nx');
+
+        expect(disabled).toEqual(new Map([[2, new Set(['unknown-attribute', 'a11y-fab-label'])], [4, new Set()]]));
+    });
+
+    it('should allow global attributes by default and more through the config', async () => {
+        const html = '<md-filled-button id="save" class="primary" style="margin: 0" data-test="save" data-id="x" tabindex="0" hx-post="/save">Save</md-filled-button>';
+
+        expect((await validateWebsite(html)).warnings).toEqual(["Unknown attribute 'hx-post' for md-filled-button"]);
+        expect((await validateWebsite(html, { config: { allowAttributes: ['hx-*'] } })).warnings).toEqual([]);
+    });
+
+    it('should apply rule severities, rule patterns and custom element allowlists', async () => {
+        const html = '<md-filled-button size="large">Go</md-filled-button><md-icon-button><md-icon>close</md-icon></md-icon-button><md-app-shell></md-app-shell>';
+        const result = await validateWebsite(html, {
+            config: { rules: { 'unknown-attribute': 'error', 'a11y-*': 'off' }, allowElements: ['md-app-*'] }
+        });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual(["Unknown attribute 'size' for md-filled-button"]);
+        expect(result.warnings).toEqual([]);
+    });
+
+    it('should honor disable comments in HTML and source files', async () => {
+        const html = await validateWebsite('<!-- mwc-disable-next-line unknown-element -->\n<md-legacy></md-legacy>\n<md-other></md-other>');
+        expect(html.errors).toEqual(['Unknown component: md-other']);
+
+        const source = await validateSource('const view = html`\n  <md-legacy></md-legacy>`;\nconst A = () => (\n  // mwc-disable-next-line\n  html`<md-other></md-other>`);');
+        expect(source.errors).toEqual(['Unknown component: md-legacy']);
+    });
+
+    it('should load a config file', async () => {
+        fs.readFile = jest.fn().mockResolvedValue('{"rules": {"unknown-attribute": "error"}}');
+
+        await expect(loadValidatorConfig('validator.json')).resolves.toEqual({ rules: { 'unknown-attribute': 'error' } });
+        expect(fs.readFile).toHaveBeenCalledWith(path.resolve('validator.json'), 'utf-8');
+    });
+
+    it('should report unreadable and malformed config files without their content', async () => {
+        fs.readFile = jest.fn().mockRejectedValue(Object.assign(new Error(`ENOENT: no such file, open '${path.resolve('missing.json')}'`), { code: 'ENOENT' }));
+        await expect(loadValidatorConfig('missing.json')).rejects.toThrow(/^Cannot read validator config missing\.json \(ENOENT\)$/);
+
+        fs.readFile = jest.fn().mockResolvedValue('{ rules: ');
+        await expect(loadValidatorConfig('config/broken.json')).rejects.toThrow(/^Invalid JSON in config\/broken\.json$/);
+    });
+
+    it('should only read config files inside the project root', async () => {
+        fs.readFile = jest.fn().mockResolvedValue('{}');
+        await expect(loadValidatorConfig('../secret.json')).rejects.toThrow('Validator config ../secret.json is outside the project root');
+        await expect(loadValidatorConfig('/etc/passwd')).rejects.toThrow('Validator config /etc/passwd is outside the project root');
+        expect(fs.readFile).not.toHaveBeenCalled();
+
+        await expect(loadValidatorConfig('validator.json', { root: '/srv/app' })).resolves.toEqual({});
+        expect(fs.readFile).toHaveBeenCalledWith(path.resolve('/srv/app/validator.json'), 'utf-8');
+    });
+});
+
+describe('createDiagnostic', () => {
+    it('should locate the attribute, or the start tag, of a finding', () => {
+        const html = '<p>Intro</p>\n<md-slider\n    max="abc"></md-slider>';
+        const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+        const node = $('md-slider')[0];
+
+        expect(createDiagnostic(html, { ruleId: 'attribute-value', severity: 'error', message: 'Bad', doc: 'components/slider.md', node, attr: 'max' })).toEqual({
+            ruleId: 'attribute-value',
+            severity: 'error',
+            message: 'Bad',
+            range: { start: { line: 3, column: 5 }, end: { line: 3, column: 14 } },
+            snippet: 'max="abc"',
+            doc: 'components/slider.md'
+        });
+        expect(createDiagnostic(html, { ruleId: 'x', severity: 'warning', message: 'Tag', node }).snippet).toBe('<md-slider\n    max="abc">');
+    });
+
+    it('should truncate long snippets and allow findings without a node', () => {
+        const html = `<md-slider aria-label="${'a'.repeat(300)}"></md-slider>`;
+        const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+        const diagnostic = createDiagnostic(html, { ruleId: 'x', severity: 'warning', message: 'Long', node: $('md-slider')[0] });
+
+        expect(diagnostic.snippet).toHaveLength(201);
+        expect(createDiagnostic(html, { ruleId: 'x', severity: 'error', message: 'Nowhere' })).toMatchObject({ range: null, snippet: null, doc: null });
+    });
+});
+
+describe('fixWebsite', () => {
+    it('should rename misspelled tags and drop false boolean attributes', async () => {
+        const { html, edits } = await fixWebsite('<md-filled-buton>Go</md-filled-buton>\n<md-checkbox aria-label="Agree" checked="false"></md-checkbox>');
+
+        expect(html).toBe('<md-filled-button>Go</md-filled-button>\n<md-checkbox aria-label="Agree"></md-checkbox>');
+        expect(edits).toEqual([
+            { ruleId: 'unknown-element', description: 'Rename <md-filled-buton> to <md-filled-button>', range: { start: { line: 1, column: 2 }, end: { line: 1, column: 37 } }, oldText: 'md-filled-buton>Go</md-filled-buton', newText: 'md-filled-button>Go</md-filled-button' },
+            { ruleId: 'boolean-attribute', description: 'Remove checked so it is off', range: { start: { line: 2, column: 32 }, end: { line: 2, column: 48 } }, oldText: ' checked="false"', newText: '' }
+        ]);
+    });
+
+    it('should label icon buttons from their icon and rename camelCase attributes', async () => {
+        const { html } = await fixWebsite('<md-icon-button><md-icon>arrow_back</md-icon></md-icon-button><md-outlined-text-field label="Name" supportingText="Required"></md-outlined-text-field>');
+
+        expect(html).toBe('<md-icon-button aria-label="Arrow back"><md-icon>arrow_back</md-icon></md-icon-button><md-outlined-text-field label="Name" supporting-text="Required"></md-outlined-text-field>');
+    });
+
+    it('should wrap a run of orphaned options in one select', async () => {
+        const { html, edits } = await fixWebsite('<md-select-option value="a"></md-select-option>\n<md-select-option value="b"></md-select-option>');
+
+        expect(html).toBe('<md-outlined-select><md-select-option value="a"></md-select-option>\n<md-select-option value="b"></md-select-option></md-outlined-select>');
+        expect(edits).toEqual([{
+            ruleId: 'parent-element',
+            description: 'Wrap <md-select-option> in <md-outlined-select>',
+            range: { start: { line: 1, column: 1 }, end: { line: 2, column: 48 } },
+            oldText: '<md-select-option value="a"></md-select-option>\n<md-select-option value="b"></md-select-option>',
+            newText: html
+        }]);
+    });
+
+    it('should not wrap orphans that have no end tag', async () => {
+        const source = '<md-list-item>a';
+        const { html, edits } = await fixWebsite(source);
+
+        expect(html).toBe(source);
+        expect(edits).toEqual([]);
+    });
+
+    it('should rename misspelled tokens with a single suggestion', async () => {
+        const { html } = await fixWebsite('<style>md-filled-button { --md-filled-buton-container-color: var(--md-sys-color-secondery); }</style>');
+
+        expect(html).toBe('<style>md-filled-button { --md-filled-button-container-color: var(--md-sys-color-secondary); }</style>');
+    });
+
+    it('should leave findings without a single safe fix alone', async () => {
+        const source = '<md-zzz></md-zzz><md-menu-item></md-menu-item><md-icon-button><md-icon>&#xe88a;</md-icon></md-icon-button><md-slider max="abc"></md-slider>';
+        const { html, edits } = await fixWebsite(source);
+
+        expect(html).toBe(source);
+        expect(edits).toEqual([]);
+    });
+});
+
+describe('validateWebsite', () => {
+    const originalReadFile = fs.readFile;
+
+    afterEach(() => {
+        fs.readFile = originalReadFile;
+        refreshDocCache();
+    });
+
+    it('should validate valid Material Web components', async () => {
+        fs.readFile = jest.fn().mockResolvedValue(`
+## API
+
+### MdFilledButton <code>&lt;md-filled-button&gt;</code>
+
+| Property | Attribute | Type | Default | Description |
+| --- | --- | --- | --- | --- |
+| disabled | disabled | boolean | false | Whether disabled |
+`);
+
+        const html = '<html><body><md-filled-button disabled>Click</md-filled-button></body></html>';
+        const result = await validateWebsite(html);
+
+        expect(result.valid).toBe(true);
+        expect(result.errors).toEqual([]);
+        expect(result.warnings).toEqual([]);
+    });
+
+    it('should detect unknown components', async () => {
+        const html = '<html><body><md-unknown>Bad</md-unknown></body></html>';
+        const result = await validateWebsite(html);
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toContain('Unknown component: md-unknown');
+    });
+
+    it('should warn on unknown attributes', async () => {
+        fs.readFile = jest.fn().mockResolvedValue(`
+## API
+
+### MdFilledButton <code>&lt;md-filled-button&gt;</code>
+
+| Property | Attribute | Type | Default | Description |
+| --- | --- | --- | --- | --- |
+| disabled | disabled | boolean | false | Whether disabled |
+`);
+
+        const html = '<html><body><md-filled-button unknown-attr="value">Click</md-filled-button></body></html>';
+        const result = await validateWebsite(html);
+
+        expect(result.valid).toBe(true);
+        expect(result.warnings).toContain('Unknown attribute \'unknown-attr\' for md-filled-button');
+    });
+
+    it('should check attribute values against the documented types', async () => {
+        const html = '<md-slider max="abc"></md-slider><md-outlined-text-field label="Colour" type="colour"></md-outlined-text-field>' +
+            '<md-checkbox checked="false" aria-label="Agree"></md-checkbox><md-filled-button type="reset" disabled></md-filled-button>';
+        const result = await validateWebsite(html);
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([
+            "Invalid value 'abc' for max on md-slider: expected a number (default 100)",
+            "Invalid value 'colour' for type on md-outlined-text-field: expected one of 'text', 'textarea', 'email', 'number', 'password', 'search', 'tel', 'url'",
+            'checked="false" on md-checkbox still turns checked on; boolean attributes are true whenever present, so remove the attribute instead'
+        ]);
+        expect(result.warnings).toEqual([]);
+    });
+
+    it('should check slotted children against the documented slots', async () => {
+        const html = '<md-dialog><div slot="headline">Title</div><div slot="footer"></div></md-dialog>' +
+            '<md-checkbox aria-label="Agree"><span slot="icon"></span></md-checkbox>' +
+            '<md-filled-button><md-icon slot="icon">add</md-icon>Add</md-filled-button>';
+        const result = await validateWebsite(html);
+
+        expect(result.errors).toEqual([]);
+        expect(result.warnings).toEqual([
+            "Unknown slot 'footer' for md-dialog; expected one of 'actions', 'content', 'headline', 'icon'",
+            'md-checkbox has no named slots, so <span slot="icon"> is not rendered'
+        ]);
+    });
+
+    it('should accept slots that the doc examples do not show', async () => {
+        const html = '<md-menu><md-menu-item><div slot="headline">Cut</div><div slot="supporting-text">Ctrl+X</div></md-menu-item></md-menu>' +
+            '<md-list><md-list-item><div slot="overline">Recent</div><div slot="headline">File</div></md-list-item></md-list>' +
+            '<md-outlined-select><md-icon slot="leading-icon">search</md-icon>' +
+            '<md-select-option><div slot="headline">One</div><div slot="supporting-text">First</div></md-select-option></md-outlined-select>';
+        const result = await validateWebsite(html);
+
+        expect(result.diagnostics.filter(d => /slot/.test(d.ruleId))).toEqual([]);
+    });
+
+    it('should skip the slot check for elements without known slots', () => {
+        const $ = cheerio.load('<md-custom><span slot="icon"></span></md-custom>');
+        const entry = { tagName: 'md-custom', doc: 'components/custom.md', slots: [] };
+        expect(checkSlots($, $('md-custom')[0], entry)).toEqual([]);
+    });
+
+    it('should flag a dialog without a headline unless it is labelled', async () => {
+        const result = await validateWebsite('<md-dialog><div slot="content">Body</div></md-dialog>');
+        expect(result.warnings).toEqual(["md-dialog is missing its 'headline' slot; add one or set aria-label or aria-labelledby (see components/dialog.md#accessibility)"]);
+
+        const $ = cheerio.load('<md-dialog aria-labelledby="title"></md-dialog>');
+        const entry = { tagName: 'md-dialog', doc: 'components/dialog.md', slots: ['headline'] };
+        expect(checkSlots($, $('md-dialog')[0], entry)).toEqual([]);
+    });
+
+    it('should require composite children inside their documented parents', async () => {
+        const html = '<md-outlined-select><div><md-select-option></md-select-option></div></md-outlined-select>' +
+            '<md-menu-item></md-menu-item>' +
+            '<md-tabs aria-label="Sections"><md-primary-tab>One</md-primary-tab></md-tabs>' +
+            '<md-list><md-list-item>Item</md-list-item></md-list>' +
+            '<md-assist-chip label="Lone"></md-assist-chip>';
+        const result = await validateWebsite(html);
+
+        expect(result.errors).toEqual([
+            'md-select-option must be a direct child of md-outlined-select, not <div>',
+            'md-menu-item must be placed inside md-menu or md-sub-menu'
+        ]);
+        expect(result.warnings).toEqual(['md-assist-chip must be placed inside md-chip-set']);
+    });
+
+    it('should require a positioned parent for ripples and focus rings', async () => {
+        const html = '<style>.card, .x::before { position: relative; }</style>' +
+            '<div class="card"><md-ripple></md-ripple></div>' +
+            '<span style="position:absolute"><md-focus-ring></md-focus-ring></span>' +
+            '<button><md-focus-ring></md-focus-ring></button>';
+        const result = await validateWebsite(html);
+
+        expect(result.warnings).toEqual(['md-focus-ring needs a positioned parent; give <button> position: relative']);
+    });
+
+    it('should hedge the positioned parent warning when the host may be styled elsewhere', async () => {
+        const external = await validateWebsite('<style>.card { position: relative; }</style><button class="chip"><md-focus-ring></md-focus-ring></button>');
+        expect(external.warnings).toEqual([
+            'md-focus-ring needs a positioned parent; unless a stylesheet outside this markup positions <button>, give it position: relative'
+        ]);
+
+        const unstyled = await validateWebsite('<button><md-focus-ring></md-focus-ring></button>');
+        expect(unstyled.warnings).toEqual([
+            'md-focus-ring needs a positioned parent; unless a stylesheet outside this markup positions <button>, give it position: relative'
+        ]);
+    });
 
-        const html = '<html><body><md-filled-button disabled>Click</md-filled-button></body></html>';
-        const result = await validateWebsite(html);
+    it('should report accessibility findings as warnings without flagging ARIA attributes', async () => {
+        const result = await validateWebsite('<md-icon-button><md-icon>delete</md-icon></md-icon-button><md-icon-button aria-label="Edit" role="button"><md-icon>edit</md-icon></md-icon-button>');
 
         expect(result.valid).toBe(true);
-        expect(result.errors).toEqual([]);
-        expect(result.warnings).toEqual([]);
+        expect(result.warnings).toEqual(['md-icon-button needs an aria-label describing its action (see components/icon-button.md#accessibility)']);
     });
 
-    it('should detect unknown components', async () => {
-        const html = '<html><body><md-unknown>Bad</md-unknown></body></html>';
+    it('should return a diagnostic with rule, range, snippet and doc for every finding', async () => {
+        const html = '<main>\n  <md-checkbox checked="false" aria-label="Agree"></md-checkbox>\n  <md-unknown></md-unknown>\n</main>';
         const result = await validateWebsite(html);
 
-        expect(result.valid).toBe(false);
-        expect(result.errors).toContain('Unknown component: md-unknown');
+        expect(result.diagnostics).toEqual([
+            {
+                ruleId: 'boolean-attribute',
+                severity: 'error',
+                message: result.errors[0],
+                range: { start: { line: 2, column: 16 }, end: { line: 2, column: 31 } },
+                snippet: 'checked="false"',
+                doc: 'components/checkbox.md#mdcheckbox-md-checkbox'
+            },
+            {
+                ruleId: 'unknown-element',
+                severity: 'error',
+                message: 'Unknown component: md-unknown',
+                range: { start: { line: 3, column: 3 }, end: { line: 3, column: 15 } },
+                snippet: '<md-unknown>',
+                doc: null
+            }
+        ]);
+        expect(result.errors).toEqual(result.diagnostics.map(diagnostic => diagnostic.message));
     });
 
-    it('should warn on unknown attributes', async () => {
-        fs.readFile = jest.fn().mockResolvedValue(`
-## API
+    it('should report what remains after applying fixes', async () => {
+        const result = await validateWebsite('<md-checkbox checked="false"></md-checkbox>', { fix: true });
 
-| Property | Attribute | Type | Default | Description |
-| --- | --- | --- | --- | --- |
-| disabled | disabled | boolean | false | Whether disabled |
-`);
+        expect(result.fixedHtml).toBe('<md-checkbox></md-checkbox>');
+        expect(result.edits).toHaveLength(1);
+        expect(result.errors).toEqual([]);
+        expect(result.diagnostics.map(diagnostic => diagnostic.ruleId)).toEqual(['a11y-control-label']);
+        expect(await validateWebsite('<md-checkbox></md-checkbox>')).not.toHaveProperty('fixedHtml');
+    });
 
-        const html = '<html><body><md-filled-button unknown-attr="value">Click</md-filled-button></body></html>';
+    it('should resolve tags through the element registry', async () => {
+        const html = '<md-filled-tonal-button>Ok</md-filled-tonal-button><md-menu><md-sub-menu></md-sub-menu></md-menu><md-filled-buton></md-filled-buton>';
         const result = await validateWebsite(html);
 
-        expect(result.valid).toBe(true);
-        expect(result.warnings).toContain('Unknown attribute \'unknown-attr\' for md-filled-button');
+        expect(result.errors).toEqual(['Unknown component: md-filled-buton']);
     });
 
     it('should handle empty HTML', async () => {
@@ -554,6 +2006,8 @@ describe('validateWebsite', () => {
         fs.readFile = jest.fn().mockResolvedValue(`
 ## API
 
+### MdIconButton <code>&lt;md-icon-button&gt;</code>
+
 | Property | Attribute | Type | Default | Description |
 | --- | --- | --- | --- | --- |
 | ariaLabelSelected | aria-label-selected | string | '' | The aria-label of the button when the button is toggleable and selected. |
@@ -565,6 +2019,285 @@ describe('validateWebsite', () => {
     });
 });
 
+describe('extractMarkup', () => {
+    it('should render Lit templates in place, filling bound values and inlining nested templates', () => {
+        const source = 'const re = /`html/;\n// html`<md-nope>`\nrender() { return html`<md-list label=${this.label}>${items.map(i => html`<md-list-item>${i}</md-list-item>`)}</md-list>`; }';
+        const [template] = extractMarkup(source);
+
+        expect(template.html).toBe('<md-list label=xxxxxxxxxxxxx>                      <md-list-item>    </md-list-item>   </md-list>');
+        expect(template.html.length).toBe(template.map.length);
+        expect(source.slice(template.map[0], template.map[0] + 9)).toBe('<md-list ');
+        expect(template.bound).toEqual([[15, 28]]);
+    });
+
+    it('should render markup bound into attribute values as its own template', () => {
+        const templates = extractMarkup('html`<md-menu .renderer=${() => html`<md-menu-item></md-menu-item>`}></md-menu>`');
+
+        expect(templates.map(template => template.html)).toEqual([
+            '<md-menu .renderer=xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx></md-menu>',
+            '<md-menu-item></md-menu-item>'
+        ]);
+    });
+
+    it('should rewrite JSX into parseable HTML', () => {
+        const [template] = extractMarkup('const a = 1 < 2;\nexport const App = () => (<><md-checkbox className="c" key="k" checked={on} {...rest} /></>);');
+
+        expect(template.html).toBe('<md-checkbox class="c"  checked=xxxx  ></md-checkbox>');
+    });
+
+    it('should not read TypeScript type assertions as JSX', () => {
+        expect(extractMarkup('const el = (<HTMLElement>node);', { jsx: false })).toEqual([]);
+    });
+});
+
+describe('validateSource', () => {
+    it('should check Lit bindings and report positions in the original source', async () => {
+        const source = [
+            "import {html} from 'lit';",
+            'const view = (v) => html`',
+            '  <md-outlined-text-field label="Name" .value=${v} .supportingTxt=${v} @input=${v}></md-outlined-text-field>',
+            '  <md-slider aria-label="Volume" max="abc" step=${v}></md-slider>',
+            '`;'
+        ].join('\n');
+        const result = await validateSource(source);
+
+        expect(result.templates).toBe(1);
+        expect(result.diagnostics.map(({ ruleId, message, range, snippet }) => ({ ruleId, message, range, snippet }))).toEqual([
+            {
+                ruleId: 'unknown-attribute',
+                message: "Unknown property 'supportingTxt' for md-outlined-text-field",
+                range: { start: { line: 3, column: 52 }, end: { line: 3, column: 71 } },
+                snippet: '.supportingTxt=${v}'
+            },
+            {
+                ruleId: 'attribute-value',
+                message: "Invalid value 'abc' for max on md-slider: expected a number (default 100)",
+                range: { start: { line: 4, column: 34 }, end: { line: 4, column: 43 } },
+                snippet: 'max="abc"'
+            }
+        ]);
+    });
+
+    it('should validate JSX with nested elements inside their parent', async () => {
+        const source = `export function Picker({ options }) {
+  return (
+    <md-outlined-select label="Pick">
+      {options.map(option => <md-select-option key={option} value={option} />)}
+    </md-outlined-select>
+  );
+}
+export const Bad = () => <md-filled-buton>Go</md-filled-buton>;`;
+        const result = await validateSource(source, { language: 'tsx' });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual(['Unknown component: md-filled-buton']);
+        expect(result.diagnostics[0].range.start).toEqual({ line: 8, column: 26 });
+    });
+
+    it('should match JSX props against property names and quote unknown ones as written', async () => {
+        const result = await validateSource('const A = () => <md-outlined-text-field label="Name" supportingText="y" maxLength={4} supportingTxt="z" />;', { language: 'jsx' });
+
+        expect(result.warnings).toEqual(["Unknown attribute 'supportingTxt' for md-outlined-text-field"]);
+    });
+});
+
+describe('legacy migration', () => {
+    it('should read the planned components from the roadmap', async () => {
+        const roadmap = await getRoadmap();
+
+        expect(roadmap.doc).toBe('roadmap.md#new-components');
+        expect(roadmap.items).toEqual(expect.arrayContaining(['Card', 'Navigation drawer', 'Snackbar', 'Top app bar']));
+        expect(roadmap.items).not.toContain('VoiceOver');
+    });
+
+    it('should report legacy elements and MDC block classes', async () => {
+        const html = '<mwc-button raised label="Save"></mwc-button>\n<mwc-drawer></mwc-drawer>\n<mwc-formfield></mwc-formfield>\n' +
+            '<button class="mdc-button mdc-button--outlined"><span class="mdc-button__label">Go</span></button><div class="mdc-card mdc-floating-label"></div>';
+        const result = await validateWebsite(html);
+
+        expect(result.valid).toBe(true);
+        expect(result.warnings).toEqual([
+            'mwc-button is a legacy MWC element; use md-filled-button (raised)',
+            'mwc-drawer is a legacy MWC element with no Material Web equivalent yet; Navigation drawer is on the roadmap but not built',
+            'mwc-formfield is a legacy MWC element with no Material Web equivalent; wrap the control and its text in a <label>',
+            'mdc-button is a legacy MDC class; use md-outlined-button (mdc-button--outlined)',
+            'mdc-card is a legacy MDC class with no Material Web equivalent yet; Card is on the roadmap but not built'
+        ]);
+        expect(result.diagnostics.map(diagnostic => [diagnostic.ruleId, diagnostic.doc])).toEqual([
+            ['legacy-element', 'components/button.md'],
+            ['legacy-element', 'roadmap.md#new-components'],
+            ['legacy-element', null],
+            ['legacy-class', 'components/button.md'],
+            ['legacy-class', 'roadmap.md#new-components']
+        ]);
+        expect(result.diagnostics[3].snippet).toBe('class="mdc-button mdc-button--outlined"');
+        expect((await validateWebsite(html, { config: { rules: { 'legacy-*': 'off' } } })).warnings).toEqual([]);
+    });
+
+    it('should translate legacy attributes and move slotted children', async () => {
+        const html = '<mwc-textfield outlined label="Name" helper="Your name" icon="person" charCounter endAligned></mwc-textfield>\n' +
+            '<mwc-dialog heading="Discard?"><mwc-button slot="primaryAction">OK</mwc-button><div slot="secondaryAction">x</div></mwc-dialog>\n' +
+            '<mwc-select label="Fruit"><mwc-list-item value="apple">Apple</mwc-list-item></mwc-select>';
+        const result = await suggestMigration(html);
+
+        expect(result.migratedHtml).toBe(
+            '<md-outlined-text-field label="Name" supporting-text="Your name"><md-icon slot="leading-icon">person</md-icon></md-outlined-text-field>\n' +
+            '<md-dialog><div slot="headline">Discard?</div><md-text-button slot="actions">OK</md-text-button><div slot="actions">x</div></md-dialog>\n' +
+            '<md-filled-select label="Fruit"><md-select-option value="apple"><div slot="headline">Apple</div></md-select-option></md-filled-select>'
+        );
+        expect(result.migrations[0]).toEqual({
+            legacy: 'mwc-textfield',
+            kind: 'element',
+            replacement: 'md-outlined-text-field',
+            variant: 'outlined',
+            roadmap: null,
+            attributes: [
+                { from: 'helper="Your name"', to: 'supporting-text="Your name"' },
+                { from: 'icon="person"', to: '<md-icon slot="leading-icon">person</md-icon>' },
+                { from: 'endAligned', to: null }
+            ],
+            notes: ['endAligned has no equivalent on md-outlined-text-field'],
+            doc: 'components/text-field.md',
+            message: 'mwc-textfield is a legacy MWC element; use md-outlined-text-field (outlined)',
+            range: { start: { line: 1, column: 1 }, end: { line: 1, column: 94 } },
+            snippet: '<mwc-textfield outlined label="Name" helper="Your name" icon="person" charCounter endAligned>'
+        });
+        expect(result.migrations.map(migration => migration.replacement)).toEqual([
+            'md-outlined-text-field', 'md-dialog', 'md-text-button', 'md-filled-select', 'md-select-option'
+        ]);
+        expect(result.imports).toEqual([
+            '@material/web/button/text-button.js',
+            '@material/web/dialog/dialog.js',
+            '@material/web/icon/icon.js',
+            '@material/web/select/filled-select.js',
+            '@material/web/select/select-option.js',
+            '@material/web/textfield/outlined-text-field.js'
+        ]);
+        expect(result.edits[0]).toEqual({
+            description: 'Replace <mwc-textfield> with <md-outlined-text-field>',
+            range: { start: { line: 1, column: 1 }, end: { line: 1, column: 94 } },
+            oldText: '<mwc-textfield outlined label="Name" helper="Your name" icon="person" charCounter endAligned>',
+            newText: '<md-outlined-text-field label="Name" supporting-text="Your name"><md-icon slot="leading-icon">person</md-icon>'
+        });
+    });
+
+    it('should leave components without an equivalent in place', async () => {
+        const result = await suggestMigration('<mwc-top-app-bar-fixed><mwc-icon-button icon="menu" label="Menu" slot="navigationIcon"></mwc-icon-button></mwc-top-app-bar-fixed>');
+
+        expect(result.migratedHtml).toBe('<mwc-top-app-bar-fixed><md-icon-button aria-label="Menu" slot="navigationIcon"><md-icon>menu</md-icon></md-icon-button></mwc-top-app-bar-fixed>');
+        expect(result.migrations[0]).toMatchObject({ replacement: null, roadmap: 'Top app bar', doc: 'roadmap.md#new-components' });
+        expect(result.imports).toEqual(['@material/web/icon/icon.js', '@material/web/iconbutton/icon-button.js']);
+    });
+
+    it('should note that MDC class markup needs rewriting by hand', async () => {
+        const html = '<button class="mdc-button mdc-button--raised"><span class="mdc-button__label">Go</span></button>';
+        const result = await suggestMigration(html);
+
+        expect(result.migratedHtml).toBe(html);
+        expect(result.migrations[0].notes).toEqual(['rewrite the mdc-button markup by hand; migratedHtml leaves MDC classes unchanged']);
+        expect(result.imports).toEqual(['@material/web/button/filled-button.js']);
+    });
+});
+
+describe('validateProject', () => {
+    let root;
+
+    beforeAll(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'material-web-mcp-'));
+        const files = {
+            'index.html': '<md-filled-buton>Save</md-filled-buton>\n<md-checkbox aria-label="Agree" hx-get="/agree"></md-checkbox>',
+            'src/form.ts': 'const view = html`<md-slider aria-label="Volume" max="abc"></md-slider>`;',
+            'src/nested/toggle.jsx': 'export const Toggle = () => <md-switch />;',
+            'src/clean.js': 'const view = html`<md-filled-button>Go</md-filled-button>`;',
+            'node_modules/pkg/index.html': '<md-unknown></md-unknown>',
+            'notes.txt': 'not a template',
+            '.material-web-mcp.json': '{"allowAttributes": ["hx-*"]}'
+        };
+        for (const [file, content] of Object.entries(files)) {
+            await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+            await fs.writeFile(path.join(root, file), content);
+        }
+    });
+
+    afterAll(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('should convert globs to path regexes', () => {
+        expect(globToRegex('*.html').test('pages/about/index.html')).toBe(true);
+        expect(globToRegex('src/*.ts').test('src/app/main.ts')).toBe(false);
+        expect(globToRegex('src/**/*.{ts,tsx}').test('src/app/main.tsx')).toBe(true);
+        expect(globToRegex('src/**/*.{ts,tsx}').test('src/main.ts')).toBe(true);
+        expect(globToRegex('**/node_modules/**').test('node_modules/')).toBe(true);
+        expect(globToRegex('page?.html').test('page10.html')).toBe(false);
+    });
+
+    it('should find matching files in order, skipping excluded directories', async () => {
+        const files = await findProjectFiles(root, { include: ['**/*'], exclude: ['**/node_modules/**'], limit: 10 });
+
+        expect(files).toEqual(['.material-web-mcp.json', 'index.html', 'notes.txt', 'src/clean.js', 'src/form.ts', 'src/nested/toggle.jsx']);
+    });
+
+    it('should group diagnostics by file and rule with totals', async () => {
+        const result = await validateProject(root);
+
+        expect(result.root).toBe(root);
+        expect(result.valid).toBe(false);
+        expect(result.totals).toEqual({ files: 4, filesWithProblems: 3, errors: 2, warnings: 1 });
+        expect(result.files.map(({ file, errors, warnings }) => [file, errors, warnings])).toEqual([
+            ['index.html', 1, 0],
+            ['src/form.ts', 1, 0],
+            ['src/nested/toggle.jsx', 0, 1]
+        ]);
+        expect(result.files[1].diagnostics[0].range.start).toEqual({ line: 1, column: 50 });
+        expect(result.rules).toEqual([
+            { ruleId: 'a11y-control-label', errors: 0, warnings: 1, files: ['src/nested/toggle.jsx'] },
+            { ruleId: 'attribute-value', errors: 1, warnings: 0, files: ['src/form.ts'] },
+            { ruleId: 'unknown-element', errors: 1, warnings: 0, files: ['index.html'] }
+        ]);
+        expect(result.skipped).toEqual([]);
+        expect(result.truncated).toBe(false);
+    });
+
+    it('should apply include globs, passed configs and the file cap', async () => {
+        const result = await validateProject(root, {
+            include: ['*.html', '*.txt'],
+            exclude: [],
+            config: { rules: { 'unknown-element': 'warning' } }
+        });
+        expect(result.files.map(file => file.file)).toEqual(['index.html', 'node_modules/pkg/index.html']);
+        expect(result.totals).toMatchObject({ files: 2, errors: 0, warnings: 2 });
+        expect(result.skipped).toEqual([{ file: 'notes.txt', reason: 'Unsupported file type' }]);
+
+        const capped = await validateProject(root, { include: ['*.html'], exclude: [], maxFiles: 1 });
+        expect(capped.totals.files).toBe(1);
+        expect(capped.truncated).toBe(true);
+    });
+
+    it('should expand file patterns like a shell', async () => {
+        expect(await resolveFilePatterns(['*.html'], { cwd: root })).toEqual(['index.html']);
+        expect(await resolveFilePatterns(['src/**/*.{ts,jsx}', 'notes.txt', 'missing.html'], { cwd: root }))
+            .toEqual(['missing.html', 'notes.txt', 'src/form.ts', 'src/nested/toggle.jsx']);
+        expect(await resolveFilePatterns(['src/nested'], { cwd: root })).toEqual(['src/nested/toggle.jsx']);
+        expect(await resolveFilePatterns(['**/index.html'], { cwd: root })).toEqual(['index.html']);
+    });
+
+    it('should validate listed files with the project config', async () => {
+        const config = await projectValidatorConfig(root, { rules: { 'a11y-*': 'off' } });
+        expect(config).toEqual({ rules: { 'a11y-*': 'off' }, allowAttributes: ['hx-*'], allowElements: [] });
+
+        const result = await validateFiles(root, ['index.html', 'src/nested/toggle.jsx', 'missing.html'], { config });
+        expect(result.totals).toEqual({ files: 2, filesWithProblems: 1, errors: 1, warnings: 0 });
+        expect(result.skipped).toEqual([{ file: 'missing.html', reason: expect.stringContaining('ENOENT'), unreadable: true }]);
+        expect(result).not.toHaveProperty('truncated');
+    });
+
+    it('should reject missing paths and files', async () => {
+        await expect(validateProject(path.join(root, 'missing'))).rejects.toThrow(`Cannot read project directory ${path.join(root, 'missing')}`);
+        await expect(validateProject(path.join(root, 'index.html'))).rejects.toThrow(`Not a directory: ${path.join(root, 'index.html')}`);
+    });
+});
+
 describe('withTimeout', () => {
     it('should resolve when promise resolves before timeout', async () => {
         const fastPromise = Promise.resolve('success');
@@ -701,7 +2434,7 @@ describe('Error handling and edge cases', () => {
             .mockResolvedValueOnce([])
             .mockResolvedValue([]);
 
-        const result = await searchContent('   ');
+        const result = await searchDocs('   ');
         expect(result).toEqual([]);
 
         fs.readdir = originalReaddir;
@@ -714,7 +2447,7 @@ describe('Error handling and edge cases', () => {
             .mockResolvedValue([]);
         fs.readFile = jest.fn().mockResolvedValue('content with [brackets] and (parentheses)');
 
-        const result = await searchContent('[brackets]');
+        const result = await searchDocs('[brackets]');
         expect(result.length).toBeGreaterThan(0);
     });
 });
@@ -744,13 +2477,13 @@ describe('Additional coverage for uncovered branches', () => {
         expect(result).toBeNull();
     });
 
-    it('should handle searchContent with whitespace keyword', async () => {
-        const result = await searchContent('   ');
+    it('should handle searchDocs with whitespace keyword', async () => {
+        const result = await searchDocs('   ');
         expect(result).toEqual([]);
     });
 
-    it('should handle searchContent with null keyword', async () => {
-        const result = await searchContent(null);
+    it('should handle searchDocs with null keyword', async () => {
+        const result = await searchDocs(null);
         expect(result).toEqual([]);
     });
 
@@ -926,7 +2659,7 @@ describe('Tool handlers comprehensive testing', () => {
                 .mockResolvedValueOnce([{ name: 'test.md', isFile: () => true, isDirectory: () => false }])
                 .mockResolvedValue([]);
             
-            fs.readFile = jest.fn().mockResolvedValue('test content with keyword');
+            fs.readFile = jest.fn().mockResolvedValue('# Test\n\ntest content with keyword');
 
             const toolRegistration = server.registerTool.mock.calls.find(
                 call => call[0] === 'search_docs'
@@ -935,10 +2668,17 @@ describe('Tool handlers comprehensive testing', () => {
             const handler = toolRegistration[2];
             const result = await handler({ keyword: 'keyword' });
             
-            expect(result.content).toBeDefined();
+            expect(result.content[0].text).toBe(`File: test.md#test (score ${result.structuredContent.results[0].score})\n  Test\n  Line 3: test content with keyword`);
             expect(result.structuredContent.results).toEqual([{
                 file: 'test.md',
-                matches: [{ line: 1, text: 'test content with keyword' }]
+                heading: 'Test',
+                anchor: 'test',
+                path: ['Test'],
+                line: 3,
+                score: expect.any(Number),
+                text: 'test content with keyword',
+                terms: ['keyword'],
+                expansions: []
             }]);
         });
 
@@ -996,6 +2736,19 @@ describe('Tool handlers comprehensive testing', () => {
             expect(result.structuredContent.documentation).toBe('# Button Component\n\nContent here.');
         });
 
+        it('should apply the requested format to get_component_doc', async () => {
+            fs.readFile = jest.fn().mockResolvedValue(mockNoisyDoc);
+
+            const toolRegistration = server.registerTool.mock.calls.find(
+                call => call[0] === 'get_component_doc'
+            );
+
+            const handler = toolRegistration[2];
+            expect((await handler({ component: 'button' })).content[0].text).not.toContain('go/md-button');
+            expect((await handler({ component: 'button', format: 'raw' })).content[0].text).toBe(mockNoisyDoc);
+            expect((await handler({ component: 'button', format: 'plain' })).content[0].text).toContain('See the design article');
+        });
+
         it('should handle get_component_doc with non-existing component', async () => {
             fs.readFile = jest.fn().mockRejectedValue(new Error('File not found'));
 
@@ -1060,6 +2813,215 @@ describe('Tool handlers comprehensive testing', () => {
         });
     });
 
+    describe('get_component_api tool handler', () => {
+        it('should return the structured API', async () => {
+            fs.readFile = jest.fn().mockResolvedValue(mockApiDoc);
+
+            const toolRegistration = server.registerTool.mock.calls.find(
+                call => call[0] === 'get_component_api'
+            );
+
+            const handler = toolRegistration[2];
+            const result = await handler({ component: 'checkbox', element: 'md-checkbox' });
+
+            expect(result.structuredContent.elements).toHaveLength(1);
+            expect(JSON.parse(result.content[0].text).elements[0].tagName).toBe('md-checkbox');
+        });
+
+        it('should handle a missing component', async () => {
+            fs.readFile = jest.fn().mockRejectedValue(new Error('File not found'));
+
+            const toolRegistration = server.registerTool.mock.calls.find(
+                call => call[0] === 'get_component_api'
+            );
+
+            const handler = toolRegistration[2];
+            const result = await handler({ component: 'nonexistent' });
+
+            expect(result.content[0].text).toBe('Component API not found');
+            expect(result.structuredContent).toEqual({ component: 'nonexistent', elements: [] });
+        });
+    });
+
+    describe('list_elements tool handler', () => {
+        it('should list elements filtered by component', async () => {
+            const toolRegistration = server.registerTool.mock.calls.find(
+                call => call[0] === 'list_elements'
+            );
+
+            const handler = toolRegistration[2];
+            const result = await handler({ component: 'menu' });
+
+            expect(result.structuredContent.elements.map(e => e.tagName)).toEqual(['md-menu', 'md-menu-item', 'md-sub-menu']);
+            expect(result.structuredContent.elements[0].api).toBeUndefined();
+        });
+    });
+
+    describe('resolve_element tool handler', () => {
+        it('should resolve a known tag', async () => {
+            const toolRegistration = server.registerTool.mock.calls.find(
+                call => call[0] === 'resolve_element'
+            );
+
+            const handler = toolRegistration[2];
+            const result = await handler({ tag: 'md-secondary-tab' });
+
+            expect(result.structuredContent.found).toBe(true);
+            expect(result.structuredContent.importPath).toBe('@material/web/tabs/secondary-tab.js');
+        });
+
+        it('should report unknown tags', async () => {
+            const toolRegistration = server.registerTool.mock.calls.find(
+                call => call[0] === 'resolve_element'
+            );
+
+            const handler = toolRegistration[2];
+            const result = await handler({ tag: 'md-snackbar' });
+
+            expect(result.structuredContent.found).toBe(false);
+            expect(result.content[0].text).toBe('Element not found: md-snackbar');
+        });
+    });
+
+    describe('list_tokens tool handler', () => {
+        it('should list filtered tokens', async () => {
+            const toolRegistration = server.registerTool.mock.calls.find(
+                call => call[0] === 'list_tokens'
+            );
+
+            const handler = toolRegistration[2];
+            const result = await handler({ component: 'elevation' });
+
+            expect(result.structuredContent.tokens.map(t => t.name)).toEqual(['--md-elevation-level', '--md-elevation-shadow-color']);
+            expect(result.content[0].text).toContain('--md-elevation-shadow-color → --md-sys-color-shadow');
+        });
+
+        it('should report when nothing matches', async () => {
+            const toolRegistration = server.registerTool.mock.calls.find(
+                call => call[0] === 'list_tokens'
+            );
+
+            const handler = toolRegistration[2];
+            const result = await handler({ prefix: '--md-nothing' });
+
+            expect(result.content[0].text).toBe('No tokens found');
+        });
+    });
+
+    describe('resolve_token tool handler', () => {
+        const getHandler = () => server.registerTool.mock.calls.find(
+            call => call[0] === 'resolve_token'
+        )[2];
+
+        it('should describe each hop', async () => {
+            const result = await getHandler()({ token: '--md-filled-button-container-color', overrides: '--md-sys-color-primary: red;' });
+
+            expect(result.content[0].text).toBe('--md-filled-button-container-color = --md-sys-color-primary (default)\n--md-sys-color-primary = red (override)');
+            expect(result.structuredContent.value).toBe('red');
+        });
+
+        it('should explain unresolved system tokens', async () => {
+            const result = await getHandler()({ token: '--md-filled-button-container-color' });
+
+            expect(result.content[0].text).toContain('--md-sys-color-primary has no documented value');
+        });
+
+        it('should report unknown tokens', async () => {
+            const result = await getHandler()({ token: '--md-unknown' });
+
+            expect(result.content[0].text).toBe('Unknown token: --md-unknown');
+        });
+    });
+
+    describe('estimate_bundle_size tool handler', () => {
+        it('should summarize the estimate', async () => {
+            const toolRegistration = server.registerTool.mock.calls.find(
+                call => call[0] === 'estimate_bundle_size'
+            );
+
+            const handler = toolRegistration[2];
+            const result = await handler({ items: ['md-dialog', 'md-unknown'] });
+
+            expect(result.content[0].text).toContain('@material/web/dialog/dialog.js: 5kb gzip, 17.1kb minified');
+            expect(result.content[0].text).toContain('Recommendation: individual');
+            expect(result.content[0].text).toContain('Unresolved: md-unknown');
+        });
+    });
+
+    describe('get_examples tool handler', () => {
+        const getHandler = () => server.registerTool.mock.calls.find(
+            call => call[0] === 'get_examples'
+        )[2];
+
+        it('should render matching examples', async () => {
+            fs.readFile = jest.fn().mockResolvedValue(mockExamplesDoc);
+
+            const result = await getHandler()({ component: 'text-field', language: 'css' });
+
+            expect(result.content[0].text).toBe('### Text field > Theming\n\n```css\n:root { --md-sys-color-primary: red; }\n```');
+        });
+
+        it('should report when nothing matches', async () => {
+            fs.readFile = jest.fn().mockResolvedValue(mockExamplesDoc);
+
+            const result = await getHandler()({ component: 'text-field', section: 'nothing' });
+
+            expect(result.content[0].text).toBe('No examples found');
+        });
+
+        it('should handle a missing component', async () => {
+            fs.readFile = jest.fn().mockRejectedValue(new Error('File not found'));
+
+            const result = await getHandler()({ component: 'nonexistent' });
+
+            expect(result.content[0].text).toBe('Component not found');
+            expect(result.structuredContent.examples).toEqual([]);
+        });
+    });
+
+    describe('get_doc_outline tool handler', () => {
+        const getHandler = () => server.registerTool.mock.calls.find(
+            call => call[0] === 'get_doc_outline'
+        )[2];
+
+        it('should render an indented heading tree', async () => {
+            fs.readFile = jest.fn().mockResolvedValue(mockExamplesDoc);
+
+            const result = await getHandler()({ doc: 'text-field' });
+
+            expect(result.content[0].text).toBe('- Text field (#text-field)\n  - Usage (#usage)\n    - Textarea (#textarea)\n  - Theming (#theming)');
+        });
+
+        it('should handle a missing doc', async () => {
+            const result = await getHandler()({ doc: 'nonexistent' });
+
+            expect(result.content[0].text).toBe('Doc not found: nonexistent');
+            expect(result.structuredContent).toEqual({ doc: null, headings: [] });
+        });
+    });
+
+    describe('get_doc_section tool handler', () => {
+        const getHandler = () => server.registerTool.mock.calls.find(
+            call => call[0] === 'get_doc_section'
+        )[2];
+
+        it('should return the section content', async () => {
+            fs.readFile = jest.fn().mockResolvedValue(mockExamplesDoc);
+
+            const result = await getHandler()({ doc: 'text-field', path: 'Theming' });
+
+            expect(result.content[0].text).toBe('## Theming\n\n```css\n:root { --md-sys-color-primary: red; }\n```');
+            expect(result.structuredContent.found).toBe(true);
+        });
+
+        it('should report a missing section or doc', async () => {
+            fs.readFile = jest.fn().mockResolvedValue(mockExamplesDoc);
+
+            expect((await getHandler()({ doc: 'text-field', anchor: 'nope' })).content[0].text).toBe('Section not found: nope');
+            expect((await getHandler()({ doc: 'nonexistent', anchor: 'nope' })).content[0].text).toBe('Doc not found: nonexistent');
+        });
+    });
+
     describe('validate_website tool handler', () => {
         it('should handle validate_website execution', async () => {
             const html = '<md-filled-button>Click</md-filled-button>';
@@ -1077,6 +3039,86 @@ describe('Tool handlers comprehensive testing', () => {
             expect(Array.isArray(result.structuredContent.warnings)).toBe(true);
         });
     });
+
+    describe('validate_source tool handler', () => {
+        it('should handle validate_source execution', async () => {
+            const toolRegistration = server.registerTool.mock.calls.find(
+                call => call[0] === 'validate_source'
+            );
+
+            const handler = toolRegistration[2];
+            const result = await handler({ source: 'const view = html`<md-unknown></md-unknown>`;', language: 'js' });
+
+            expect(result.structuredContent.valid).toBe(false);
+            expect(result.structuredContent.templates).toBe(1);
+            expect(JSON.parse(result.content[0].text).errors).toEqual(['Unknown component: md-unknown']);
+        });
+    });
+
+    describe('suggest_migration tool handler', () => {
+        it('should handle suggest_migration execution', async () => {
+            const toolRegistration = server.registerTool.mock.calls.find(
+                call => call[0] === 'suggest_migration'
+            );
+
+            const handler = toolRegistration[2];
+            const result = await handler({ html: '<mwc-switch selected></mwc-switch>' });
+
+            expect(result.structuredContent.migratedHtml).toBe('<md-switch selected></md-switch>');
+            expect(JSON.parse(result.content[0].text).imports).toEqual(['@material/web/switch/switch.js']);
+        });
+    });
+
+    describe('validate_project tool handler', () => {
+        it('should report an unreadable project directory', async () => {
+            const toolRegistration = server.registerTool.mock.calls.find(
+                call => call[0] === 'validate_project'
+            );
+
+            const handler = toolRegistration[2];
+            await expect(handler({ path: 'material-web-mcp-missing' })).rejects.toThrow('Cannot read project directory');
+        });
+
+        it('should only validate directories inside the project root', async () => {
+            const handler = server.registerTool.mock.calls.find(call => call[0] === 'validate_project')[2];
+            const projectRoot = process.env.MATERIAL_WEB_MCP_PROJECT_ROOT;
+            process.env.MATERIAL_WEB_MCP_PROJECT_ROOT = path.join(os.tmpdir(), 'material-web-mcp-root');
+            try {
+                await expect(handler({ path: os.homedir() })).rejects.toThrow(`Project directory ${os.homedir()} is outside the project root`);
+                await expect(handler({ path: '../other' })).rejects.toThrow('Project directory ../other is outside the project root');
+                await expect(handler({ path: 'site' })).rejects.toThrow(`Cannot read project directory ${path.join(os.tmpdir(), 'material-web-mcp-root', 'site')}`);
+            } finally {
+                if (projectRoot === undefined) delete process.env.MATERIAL_WEB_MCP_PROJECT_ROOT;
+                else process.env.MATERIAL_WEB_MCP_PROJECT_ROOT = projectRoot;
+            }
+        });
+
+        it('should read configFile from the project root, over the directory config', async () => {
+            const project = await fs.mkdtemp(path.join(os.tmpdir(), 'material-web-mcp-project-'));
+            const projectRoot = process.env.MATERIAL_WEB_MCP_PROJECT_ROOT;
+            try {
+                await fs.mkdir(path.join(project, 'site'));
+                await fs.writeFile(path.join(project, 'site', 'index.html'), '<md-filled-button size="large">Go</md-filled-button><md-legacy></md-legacy>');
+                await fs.writeFile(path.join(project, 'site', '.material-web-mcp.json'), '{"rules": {"unknown-attribute": "error", "unknown-element": "off"}}');
+                await fs.writeFile(path.join(project, 'rules.json'), '{"rules": {"unknown-attribute": "warning"}}');
+                const handler = name => server.registerTool.mock.calls.find(call => call[0] === name)[2];
+
+                process.env.MATERIAL_WEB_MCP_PROJECT_ROOT = project;
+                const result = await handler('validate_project')({ path: 'site', configFile: 'rules.json' });
+                expect(result.structuredContent.root).toBe(path.join(project, 'site'));
+                expect(result.structuredContent.totals).toEqual({ files: 1, filesWithProblems: 1, errors: 0, warnings: 1 });
+
+                await expect(handler('validate_project')({ path: 'site', configFile: '.material-web-mcp.json' })).rejects.toThrow('Cannot read validator config .material-web-mcp.json (ENOENT)');
+
+                const website = await handler('validate_website')({ html: '<md-filled-button size="large">Go</md-filled-button>', configFile: 'rules.json' });
+                expect(website.structuredContent.warnings).toEqual(["Unknown attribute 'size' for md-filled-button"]);
+            } finally {
+                if (projectRoot === undefined) delete process.env.MATERIAL_WEB_MCP_PROJECT_ROOT;
+                else process.env.MATERIAL_WEB_MCP_PROJECT_ROOT = projectRoot;
+                await fs.rm(project, { recursive: true, force: true });
+            }
+        });
+    });
 });
 
 describe('Main server execution path', () => {
@@ -1116,14 +3158,14 @@ describe('Comprehensive error path testing', () => {
         refreshDocCache();
     });
 
-    it('should handle file read errors in searchContent gracefully', async () => {
+    it('should handle file read errors in searchDocs gracefully', async () => {
         fs.readdir = jest.fn()
             .mockResolvedValueOnce([{ name: 'error.md', isFile: () => true, isDirectory: () => false }])
             .mockResolvedValue([]);
         
         fs.readFile = jest.fn().mockRejectedValue(new Error('Read error'));
 
-        const result = await searchContent('test');
+        const result = await searchDocs('test');
         expect(result).toEqual([]);
     });
 
@@ -1299,7 +3341,7 @@ describe('Final coverage boost - Main execution and initialization', () => {
             expect(module.registerDocResources).toBeDefined();
             expect(module.loadDocStructure).toBeDefined();
             expect(module.extractComponentNames).toBeDefined();
-            expect(module.searchContent).toBeDefined();
+            expect(module.searchDocs).toBeDefined();
             expect(module.escapeRegex).toBeDefined();
             expect(module.scanDocsDir).toBeDefined();
             expect(module.refreshDocCache).toBeDefined();